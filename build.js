@@ -1,21 +1,31 @@
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
 const https = require('https');
-const { marked } = require('marked');
+const crypto = require('crypto');
+const { spawn, spawnSync } = require('child_process');
+const { marked, Marked } = require('marked');
 const matter = require('gray-matter');
 const sharp = require('sharp');
+const ejs = require('ejs');
 
 // ============================================
 // CONFIGURATION - Easy to customize!
 // ============================================
 // 
-// All design values are now in one place at the top.
-// Just edit the values below to customize your portfolio:
-// - Change colors, fonts, sizes
-// - Update homepage text
-// - Adjust layout dimensions
-// - Modify GIF file names
-// - Adjust image optimization settings (IMAGE_CONFIG)
+// Site settings live in portfolio.config.json (or pass --config <path>):
+// - "homepage": homepage text and GIF file names
+// - "design": colors, fonts, sizes and layout dimensions
+// - "image": image optimization settings
+// - "video": transcoding settings for video files in images/ (needs ffmpeg)
+// - "download": timeouts and retries for embed thumbnails and lookups
+// - "markdown": how statements and about.md are rendered
+// - "seo": site URL, author and description for search results and link previews, and robots.txt
+// - "feeds": Atom, RSS and JSON Feed files of new projects
+// - "output": files in output/ the build should leave alone
+//
+// Anything left out of the config file falls back to the defaults below,
+// so the file only needs the values you want to change.
 //
 // After making changes, run: node build.js
 // ============================================
@@ -23,28 +33,70 @@ const sharp = require('sharp');
 // Directories
 const PROJECTS_DIR = './projects';
 const OUTPUT_DIR = './output';
-const TEMPLATES_DIR = './templates';
+const TEMPLATES_DIR = './templates'; // Site templates (override the built-in ones)
+const DEFAULT_TEMPLATES_DIR = path.join(__dirname, 'templates', 'default');
 const ASSETS_DIR = './assets';
+const CACHE_FILE = './.build-cache.json';
+
+// Files picked up from a project's images/ folder
+const IMAGE_FILE_PATTERN = /\.(jpg|jpeg|png|gif|webp)$/i;
+const PDF_FILE_PATTERN = /\.(pdf)$/i;
+const VIDEO_FILE_PATTERN = /\.(mp4|m4v|mov|webm)$/i;
+
+// Files under output/ that the build never removes, even though it didn't write them
+// (paths relative to OUTPUT_DIR; a folder keeps everything inside it). The site can add its own
+// with output.keep.
+const OUTPUT_KEEP = ['CNAME', '.nojekyll'];
+
+// Command line arguments (read early, since --config decides which settings load)
+const args = process.argv.slice(2);
+
+// Value following a flag, e.g. --port 3000
+function argValue(flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
+}
 
-// Image Optimization Configuration
-const IMAGE_CONFIG = {
+// Site config file (JSON or a .js module exporting an object)
+const CONFIG_FILE = argValue('--config') || './portfolio.config.json';
+
+// Default Image Optimization Configuration
+const DEFAULT_IMAGE_CONFIG = {
   maxWidth: 1920,           // Maximum width for full-size images
   thumbnailWidth: 1200,     // Width for thumbnail images (increased for sharper thumbnails)
   webpQuality: 90,          // WebP quality (0-100) - increased for better quality
   thumbnailQuality: 90,     // Separate quality for thumbnails
-  maintainAspectRatio: true // Keep original aspect ratio
+  maintainAspectRatio: true, // Keep original aspect ratio
+  
+  // Responsive renditions (used for <picture> srcset output)
+  responsiveWidths: [480, 800, 1200, 1920], // Breakpoint widths rendered per image
+  formats: ['avif', 'webp', 'jpeg'],         // Preferred first; the last one is the <img> fallback
+  avifQuality: 60,
+  jpegQuality: 85,
+  sizes: {
+    project: '(max-width: 768px) 100vw, 66vw', // Carousel slides on project pages
+    card: '(max-width: 768px) 100vw, 33vw'     // Project cards on type pages
+  },
+  
+  // Project cards are cropped to one shape so the type page grid lines up
+  cardAspectRatio: '4:3',   // width:height, or 'none' to keep each picture's own shape
+  cardCrop: 'attention',    // Default crop: 'attention' (the most striking part), 'entropy' (the most detail) or 'center'
+  
+  // Images are turned upright from their EXIF orientation and published without EXIF/XMP/IPTC
+  // metadata (camera GPS positions and serial numbers stay private)
+  colorProfile: 'srgb'      // 'srgb' converts to sRGB and embeds its profile; 'keep' keeps the source's profile (e.g. Display P3)
 };
 
-// Homepage Content
-const HOMEPAGE_CONFIG = {
-  title: 'Caleb Jenkins',
-  subtitle: '🔥 BADASS CREATIONS 🔥',
+// Default Homepage Content
+const DEFAULT_HOMEPAGE_CONFIG = {
+  title: 'Portfolio',
+  subtitle: '',
   skeletonGifName: 'skeleton.gif',
   flameGifName: 'flame.gif'
 };
 
-// Design Configuration
-const DESIGN_CONFIG = {
+// Default Design Configuration
+const DEFAULT_DESIGN_CONFIG = {
   // Homepage Container
   homepageWidth: '66vw',
   homepagePadding: '30px',
@@ -92,12 +144,271 @@ const DESIGN_CONFIG = {
   }
 };
 
+// Default Project Ordering on type pages. Featured projects always come first, then projects
+// with an `order:` number (lowest first), then the rest sorted by the type's sort mode.
+const DEFAULT_SORT_CONFIG = {
+  default: 'date', // 'date' (newest first), 'title' (A-Z) or 'manual' (folder name)
+  types: {}        // Per-type overrides, e.g. { "posters": "manual" }
+};
+
+// Default Video Configuration. Video files in a project's images/ folder are transcoded with
+// ffmpeg when it's installed; without it they're copied as-is (and get no poster frame).
+const DEFAULT_VIDEO_CONFIG = {
+  transcode: true,          // Set to false to always copy videos as-is
+  formats: ['webm', 'mp4'], // Renditions, most preferred first (browsers play the first they support)
+  maxWidth: 1920,           // Wider videos are scaled down
+  ffmpeg: 'ffmpeg'          // ffmpeg command or full path
+};
+
+// Default Download Configuration (embed thumbnails and provider lookups). When the network is
+// unavailable, the rest of the build's downloads are skipped instead of each waiting for a timeout.
+const DEFAULT_DOWNLOAD_CONFIG = {
+  timeout: 10000,   // Milliseconds without any data before a request is given up
+  retries: 2,       // Extra attempts after timeouts, dropped connections and 5xx responses
+  maxRedirects: 5   // Redirects followed before giving up
+};
+
+// Default SEO Configuration (meta descriptions, canonical links, Open Graph/Twitter cards and
+// JSON-LD). Canonical links and preview images need absolute URLs, so they're left out when
+// there's no site URL.
+const DEFAULT_SEO_CONFIG = {
+  url: '',          // Site URL, e.g. "https://example.com" (defaults to https:// plus the domain in ./CNAME)
+  author: '',       // Person named as the author (defaults to homepage.title)
+  description: '',  // Homepage description (defaults to the first paragraph of about.md)
+  twitter: '',      // Twitter/X handle for twitter:site, e.g. "@name"
+  disallow: []      // robots.txt paths crawlers should skip, e.g. ["/drafts/"] (["/"] hides the whole site)
+};
+
+// Default Feed Configuration. Feeds list projects newest first and need the site URL (see seo.url).
+const DEFAULT_FEED_CONFIG = {
+  formats: ['atom', 'rss', 'json'], // feed.xml, rss.xml and feed.json (an empty list writes none)
+  perType: false,   // true also writes each type's own feeds, e.g. posters/feed.xml
+  limit: 20         // Newest projects per feed (0 for all)
+};
+
+// Default Markdown Configuration (project statements and about.md)
+const DEFAULT_MARKDOWN_CONFIG = {
+  sanitize: false   // true shows raw HTML as text and drops javascript: (and other non-web) links
+};
+
+// Default Output Configuration
+const DEFAULT_OUTPUT_CONFIG = {
+  keep: []          // More paths in output/ to keep when pruning, e.g. ["google1234.html", "downloads/"]
+};
+
+// Allowed values for settings that only accept a fixed set of options
+const CONFIG_CHOICES = {
+  'image.formats': ['avif', 'webp', 'jpeg', 'png'],
+  'image.cardCrop': ['attention', 'entropy', 'center'],
+  'image.colorProfile': ['srgb', 'keep'],
+  'feeds.formats': ['atom', 'rss', 'json'],
+  'video.formats': ['webm', 'mp4'],
+  'sort.default': ['date', 'title', 'manual'],
+  'sort.types': ['date', 'title', 'manual']
+};
+
+// Settings whose keys are chosen by the site (like type folder names), mapped to their value type
+const CONFIG_MAPS = {
+  'sort.types': 'string'
+};
+
+// Item types for lists whose default is empty (other lists take the type of their first default)
+const CONFIG_LIST_ITEMS = {
+  'seo.disallow': 'string',
+  'output.keep': 'string'
+};
+
+// Lists that need at least one entry
+const CONFIG_NON_EMPTY = ['image.formats', 'image.responsiveWidths', 'video.formats'];
+
+// Pixel sizes, which must be whole numbers above zero (for lists, every entry)
+const CONFIG_POSITIVE_INTEGERS = ['image.maxWidth', 'image.thumbnailWidth', 'image.responsiveWidths', 'video.maxWidth'];
+
+// Load the site config and merge it over the defaults (exits with a list of problems if invalid)
+const SITE_CONFIG = loadConfig(CONFIG_FILE, Boolean(argValue('--config')));
+const IMAGE_CONFIG = SITE_CONFIG.image;
+const HOMEPAGE_CONFIG = SITE_CONFIG.homepage;
+const DESIGN_CONFIG = SITE_CONFIG.design;
+const SORT_CONFIG = SITE_CONFIG.sort;
+const VIDEO_CONFIG = SITE_CONFIG.video;
+const DOWNLOAD_CONFIG = SITE_CONFIG.download;
+const MARKDOWN_CONFIG = SITE_CONFIG.markdown;
+const SEO_CONFIG = SITE_CONFIG.seo;
+const FEED_CONFIG = SITE_CONFIG.feeds;
+const OUTPUT_CONFIG = SITE_CONFIG.output;
 
 // Ensure output directory exists
 if (!fs.existsSync(OUTPUT_DIR)) {
   fs.mkdirSync(OUTPUT_DIR, { recursive: true });
 }
 
+// Describe a value's type the way config errors report it
+function configType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Check a config object against the defaults: every key must exist in the defaults and have
+// the same type. Returns a list of problems, each naming the full key (e.g. design.colors.link).
+function validateConfig(value, defaults, keyPath = '') {
+  const errors = [];
+  
+  Object.keys(value).forEach(key => {
+    const fullKey = keyPath ? `${keyPath}.${key}` : key;
+    const expected = defaults[key];
+    const actual = value[key];
+    
+    if (!(key in defaults)) {
+      errors.push(`${fullKey}: unknown setting`);
+    } else if (configType(actual) !== configType(expected)) {
+      errors.push(`${fullKey}: expected ${configType(expected)}, got ${configType(actual)} (${JSON.stringify(actual)})`);
+    } else if (CONFIG_MAPS[fullKey]) {
+      Object.keys(actual).forEach(name => {
+        const entry = actual[name];
+        if (configType(entry) !== CONFIG_MAPS[fullKey]) {
+          errors.push(`${fullKey}.${name}: expected ${CONFIG_MAPS[fullKey]}, got ${configType(entry)} (${JSON.stringify(entry)})`);
+        } else if (CONFIG_CHOICES[fullKey] && !CONFIG_CHOICES[fullKey].includes(entry)) {
+          errors.push(`${fullKey}.${name}: "${entry}" is not one of ${CONFIG_CHOICES[fullKey].join(', ')}`);
+        }
+      });
+    } else if (configType(actual) === 'object') {
+      errors.push(...validateConfig(actual, expected, fullKey));
+    } else if (configType(actual) === 'array') {
+      if (CONFIG_NON_EMPTY.includes(fullKey) && actual.length === 0) {
+        errors.push(`${fullKey}: needs at least one entry`);
+      }
+      actual.forEach((item, index) => {
+        const itemType = CONFIG_LIST_ITEMS[fullKey] || (expected.length > 0 ? configType(expected[0]) : null);
+        if (itemType && configType(item) !== itemType) {
+          errors.push(`${fullKey}[${index}]: expected ${itemType}, got ${configType(item)} (${JSON.stringify(item)})`);
+        } else if (CONFIG_CHOICES[fullKey] && !CONFIG_CHOICES[fullKey].includes(item)) {
+          errors.push(`${fullKey}[${index}]: "${item}" is not one of ${CONFIG_CHOICES[fullKey].join(', ')}`);
+        } else if (CONFIG_POSITIVE_INTEGERS.includes(fullKey) && !(Number.isInteger(item) && item > 0)) {
+          errors.push(`${fullKey}[${index}]: must be a whole number above 0, got ${item}`);
+        } else if (fullKey === 'output.keep' && (!item || path.isAbsolute(item) || item.split(/[\\/]/).includes('..'))) {
+          errors.push(`${fullKey}[${index}]: "${item}" is not a path inside output/ (e.g. "downloads/")`);
+        }
+      });
+    } else if (configType(actual) === 'string' && CONFIG_CHOICES[fullKey] && !CONFIG_CHOICES[fullKey].includes(actual)) {
+      errors.push(`${fullKey}: "${actual}" is not one of ${CONFIG_CHOICES[fullKey].join(', ')}`);
+    } else if (fullKey === 'seo.url' && actual && !/^https?:\/\/[^/\s]+/.test(actual)) {
+      errors.push(`${fullKey}: "${actual}" is not a web address (e.g. "https://example.com")`);
+    } else if (fullKey === 'image.cardAspectRatio' && actual !== 'none' && !parseAspectRatio(actual)) {
+      errors.push(`${fullKey}: "${actual}" is not an aspect ratio (use width:height, e.g. "4:3", or "none")`);
+    } else if (CONFIG_POSITIVE_INTEGERS.includes(fullKey) && !(Number.isInteger(actual) && actual > 0)) {
+      errors.push(`${fullKey}: must be a whole number above 0, got ${actual}`);
+    } else if (configType(actual) === 'number' && /Quality$/.test(key) && (actual < 0 || actual > 100)) {
+      errors.push(`${fullKey}: must be between 0 and 100, got ${actual}`);
+    }
+  });
+  
+  return errors;
+}
+
+// Parse an aspect ratio written as width:height (e.g. "4:3") into width / height, or null
+function parseAspectRatio(value) {
+  const match = String(value).match(/^\s*(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)\s*$/);
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) return null;
+  return Number(match[1]) / Number(match[2]);
+}
+
+// Parse a crop focus: 'attention', 'entropy' or 'center', or a point given as "x% y%" from the
+// top left (returned as { x, y } fractions). Returns null for anything else.
+function parseFocus(value) {
+  const text = String(value).trim().toLowerCase();
+  if (['attention', 'entropy', 'center'].includes(text)) return text;
+  const match = text.match(/^(\d+(?:\.\d+)?)%?(?:\s*,\s*|\s+)(\d+(?:\.\d+)?)%?$/);
+  if (!match || Number(match[1]) > 100 || Number(match[2]) > 100) return null;
+  return { x: Number(match[1]) / 100, y: Number(match[2]) / 100 };
+}
+
+// Recursively merge config values over defaults (arrays replace, objects merge)
+function mergeConfig(defaults, overrides) {
+  const merged = { ...defaults };
+  Object.keys(overrides).forEach(key => {
+    merged[key] = configType(defaults[key]) === 'object'
+      ? mergeConfig(defaults[key], overrides[key])
+      : overrides[key];
+  });
+  return merged;
+}
+
+// Read the site config file (JSON or JS) without merging or validating it
+function readConfigFile(configPath) {
+  if (/\.c?js$/.test(configPath)) {
+    return require(path.resolve(configPath));
+  }
+  return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+}
+
+// Load, validate and merge the site config. A missing default config file just means "use the
+// defaults"; a missing file passed with --config is an error.
+function loadConfig(configPath, required = false) {
+  const defaults = {
+    image: DEFAULT_IMAGE_CONFIG,
+    homepage: DEFAULT_HOMEPAGE_CONFIG,
+    design: DEFAULT_DESIGN_CONFIG,
+    sort: DEFAULT_SORT_CONFIG,
+    video: DEFAULT_VIDEO_CONFIG,
+    download: DEFAULT_DOWNLOAD_CONFIG,
+    markdown: DEFAULT_MARKDOWN_CONFIG,
+    seo: DEFAULT_SEO_CONFIG,
+    feeds: DEFAULT_FEED_CONFIG,
+    output: DEFAULT_OUTPUT_CONFIG
+  };
+  
+  if (!fs.existsSync(configPath)) {
+    if (required) {
+      console.error(`❌ Config file not found: ${configPath}`);
+      process.exit(1);
+    }
+    return defaults;
+  }
+  
+  let siteConfig;
+  try {
+    siteConfig = readConfigFile(configPath);
+  } catch (error) {
+    console.error(`❌ Could not read ${configPath}: ${error.message}`);
+    process.exit(1);
+  }
+  
+  if (configType(siteConfig) !== 'object') {
+    const sections = Object.keys(defaults).map(section => `"${section}"`);
+    console.error(`❌ ${configPath} must contain an object with ${sections.slice(0, -1).join(', ')} and/or ${sections[sections.length - 1]} settings`);
+    process.exit(1);
+  }
+  
+  const errors = validateConfig(siteConfig, defaults);
+  if (errors.length > 0) {
+    console.error(`❌ Invalid settings in ${configPath}:`);
+    errors.forEach(error => console.error(`   - ${error}`));
+    process.exit(1);
+  }
+  
+  return mergeConfig(defaults, siteConfig);
+}
+
+// Every file written to OUTPUT_DIR during this build (anything else is stale)
+const builtFiles = new Set();
+
+function markBuilt(filePath) {
+  builtFiles.add(path.resolve(filePath));
+}
+
+// Write a file to the output folder and remember it as part of this build
+function writeOutput(filePath, contents) {
+  fs.writeFileSync(filePath, contents);
+  markBuilt(filePath);
+}
+
+// Copy a file into the output folder and remember it as part of this build
+function copyOutput(sourcePath, destPath) {
+  fs.copyFileSync(sourcePath, destPath);
+  markBuilt(destPath);
+}
+
 // Get all project types (sculpture, print, digital, photo-video)
 function getProjectTypes() {
   return fs.readdirSync(PROJECTS_DIR)
@@ -116,6 +427,127 @@ function getProjectsInType(type) {
     }));
 }
 
+// Work out what a `media:` entry refers to: a file in images/ or one of the project's embed URLs
+function resolveMediaEntry(file, files, embedUrls) {
+  if (/^https?:\/\//.test(file)) return embedUrls.includes(file) ? { type: 'embed', file } : null;
+  if (!files.includes(file)) return null;
+  if (IMAGE_FILE_PATTERN.test(file)) return { type: 'image', file };
+  if (PDF_FILE_PATTERN.test(file)) return { type: 'pdf', file };
+  if (VIDEO_FILE_PATTERN.test(file)) return { type: 'video', file };
+  return null;
+}
+
+// Build a project's ordered media list. Entries in the `media:` frontmatter come first, in the
+// order listed (or at their `position:`), with their own caption and alt text; anything not
+// listed is appended: files from images/ in filename order, then embeds (see parseEmbeds).
+function buildProjectMedia(project, mediaEntries, files, embeds) {
+  const listed = [];
+  const embedUrls = embeds.map(embed => embed.url);
+  
+  (Array.isArray(mediaEntries) ? mediaEntries : []).forEach(entry => {
+    const options = typeof entry === 'string' ? { file: entry } : (entry || {});
+    const resolved = options.file ? resolveMediaEntry(String(options.file), files, embedUrls) : null;
+    if (!resolved) {
+      console.warn(`  ⚠️  ${project.name}: media entry ${JSON.stringify(options.file)} doesn't match a file in images/ or an embed URL`);
+      return;
+    }
+    listed.push({
+      ...resolved,
+      caption: options.caption ? String(options.caption) : '',
+      alt: options.alt ? String(options.alt) : '',
+      position: Number.isInteger(options.position) ? options.position : null
+    });
+  });
+  
+  const isListed = file => listed.some(item => item.file === file);
+  const unlisted = [
+    ...files.filter(file => !isListed(file)).map(file => resolveMediaEntry(file, files, embedUrls)),
+    ...embedUrls.filter(url => !isListed(url)).map(url => ({ type: 'embed', file: url }))
+  ].map(item => ({ ...item, caption: '', alt: '', position: null }));
+  
+  // Move entries with an explicit position (1-based) into place
+  const media = [...listed.filter(item => item.position === null), ...unlisted];
+  listed.filter(item => item.position !== null)
+    .sort((a, b) => a.position - b.position)
+    .forEach(item => media.splice(Math.min(item.position - 1, media.length), 0, item));
+  
+  return media.map(({ position, ...item }) => ({ ...item, alt: item.alt || project.title }));
+}
+
+// Frontmatter value that may be a single item or a list, as a list
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Collect a project's embeds: the `embeds:` list, then the `vimeo:` and `youtube:` shorthands, then
+// URLs that only appear under `media:`. Each is { url, provider, id, title } (see EMBED_PROVIDERS).
+function parseEmbeds(project, data) {
+  const entries = [
+    ...asList(data.embeds).map(entry => typeof entry === 'string' ? { url: entry } : (entry || {})),
+    ...asList(data.vimeo).map(url => ({ url, provider: 'vimeo' })),
+    ...asList(data.youtube).map(url => ({ url, provider: 'youtube' })),
+    ...asList(data.media).map(entry => ({ url: typeof entry === 'string' ? entry : entry && entry.file }))
+      .filter(entry => /^https?:\/\//.test(String(entry.url)))
+  ];
+  
+  const embeds = [];
+  entries.forEach(entry => {
+    const url = String(entry.url || '');
+    if (embeds.some(embed => embed.url === url)) return;
+    const found = findEmbedProvider(url, entry.provider);
+    if (!found) {
+      const provider = entry.provider ? `${entry.provider} ` : '';
+      console.warn(`  ⚠️  ${project.name}: ${JSON.stringify(url)} is not a recognized ${provider}embed URL, skipping`);
+      return;
+    }
+    embeds.push({ url, ...found, title: entry.title ? String(entry.title) : '' });
+  });
+  return embeds;
+}
+
+// Letters that don't fold to ASCII by dropping their accents
+const SLUG_LETTERS = { 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ł': 'l', 'ı': 'i' };
+
+// Turn a name into a URL-safe slug: lowercase ASCII letters and digits separated by single
+// hyphens ("Micro : Macro Poster" → "micro-macro-poster", "Café Zürich" → "cafe-zurich")
+function slugify(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[ßæœøđðþłı]/g, letter => SLUG_LETTERS[letter])
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// A project's output folder and URL segment: the `slug:` frontmatter value, otherwise the folder
+// name, slugified (falling back to a hash of the name when nothing URL-safe is left of it)
+function projectSlug(name, data) {
+  const slug = slugify(data.slug !== undefined && data.slug !== null ? data.slug : name);
+  return slug || `project-${urlId(name)}`;
+}
+
+// Split `tags:` or `materials:` (comma-separated text or a list) into names, without repeats
+// that only differ in case or punctuation ("InDesign" and "indesign")
+function parseTerms(value) {
+  const names = asList(value)
+    .flatMap(entry => String(entry).split(/[,;]/))
+    .map(name => name.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  return names.filter((name, index) => names.findIndex(other => termSlug(other) === termSlug(name)) === index);
+}
+
+// URL segment of a tag or material page
+function termSlug(name) {
+  return slugify(name) || `term-${urlId(name)}`;
+}
+
+// Whether a frontmatter value can be used as a single folder name inside output/
+function isFolderName(name) {
+  return Boolean(name.trim()) && !/[\\/]/.test(name) && name !== '.' && name !== '..';
+}
+
 // Parse a project's info.md file
 function parseProject(project) {
   const infoPath = path.join(project.path, 'info.md');
@@ -130,32 +562,29 @@ function parseProject(project) {
   
   // Get images and PDFs
   const imagesPath = path.join(project.path, 'images');
-  let images = [];
-  let pdfs = [];
+  let mediaFiles = [];
   if (fs.existsSync(imagesPath)) {
-    const allFiles = fs.readdirSync(imagesPath).sort();
-    images = allFiles.filter(file => /\.(jpg|jpeg|png|gif|webp)$/i.test(file));
-    pdfs = allFiles.filter(file => /\.(pdf)$/i.test(file));
+    mediaFiles = fs.readdirSync(imagesPath).sort()
+      .filter(file => IMAGE_FILE_PATTERN.test(file) || PDF_FILE_PATTERN.test(file) || VIDEO_FILE_PATTERN.test(file));
   }
+  const images = mediaFiles.filter(file => IMAGE_FILE_PATTERN.test(file));
+  const pdfs = mediaFiles.filter(file => PDF_FILE_PATTERN.test(file));
+  const videoFiles = mediaFiles.filter(file => VIDEO_FILE_PATTERN.test(file));
   
-  // Get Vimeo URLs from frontmatter (can be string or array)
-  let vimeos = [];
-  if (data.vimeo) {
-    if (Array.isArray(data.vimeo)) {
-      vimeos = data.vimeo;
-    } else {
-      vimeos = [data.vimeo];
-    }
+  // YAML reads a title like 1999 as a number; everything downstream expects text
+  const title = data.title ? String(data.title) : project.name;
+  const embeds = parseEmbeds(project, data);
+  const media = buildProjectMedia({ ...project, title }, data.media, mediaFiles, embeds);
+  if (data.cover && !media.some(item => item.file === String(data.cover))) {
+    console.warn(`  ⚠️  ${project.name}: cover ${JSON.stringify(data.cover)} doesn't match a file in images/ or an embed URL`);
   }
-  
-  // Get YouTube URLs from frontmatter (can be string or array)
-  let youtubes = [];
-  if (data.youtube) {
-    if (Array.isArray(data.youtube)) {
-      youtubes = data.youtube;
-    } else {
-      youtubes = [data.youtube];
-    }
+  if (data.focus !== undefined && !parseFocus(data.focus)) {
+    console.warn(`  ⚠️  ${project.name}: focus ${JSON.stringify(data.focus)} isn't attention, entropy, center or a point like "30% 20%"`);
+  }
+  const materials = parseTerms(data.materials);
+  const slug = projectSlug(project.name, data);
+  if (data.slug !== undefined && slug !== String(data.slug)) {
+    console.warn(`  ⚠️  ${project.name}: slug ${JSON.stringify(data.slug)} isn't URL-safe, using "${slug}"`);
   }
   
   // Only process statement if content exists
@@ -163,15 +592,35 @@ function parseProject(project) {
   
   return {
     ...project,
-    title: data.title || project.name,
-    date: data.date || '',
-    materials: data.materials || '',
-    statement: hasStatement ? marked(content) : '',
+    title: title,
+    // YAML reads full dates (2024-11-05) as Date objects; keep them as written
+    date: data.date instanceof Date ? data.date.toISOString().slice(0, 10) : (data.date || ''),
+    updated: data.updated instanceof Date ? data.updated.toISOString().slice(0, 10) : (data.updated || ''),
+    materials: materials.join(', '),
+    description: data.description ? String(data.description) : '',
+    // Tags and materials as lists of names, for their listing pages (see TAXONOMIES)
+    terms: { tags: parseTerms(data.tags), materials },
+    statement: hasStatement ? renderMarkdown(content) : '',
     images: images,
     pdfs: pdfs,
-    vimeos: vimeos,
-    youtubes: youtubes,
-    slug: project.name
+    videoFiles: videoFiles,
+    embeds: embeds,
+    media: media,
+    pdfPage: parseInt(data.pdfPage, 10) || 1,
+    thumbnail: data.thumbnail ? String(data.thumbnail) : null,
+    fallbackThumbnail: null,
+    cover: data.cover ? String(data.cover) : null,
+    focus: data.focus !== undefined ? parseFocus(data.focus) : null,
+    card: null,
+    template: data.template || null,
+    order: typeof data.order === 'number' ? data.order : null,
+    featured: data.featured === true,
+    hidden: data.hidden === true,
+    renditions: {},
+    slug: slug,
+    // Earlier paths of the project page (within its type) that redirect to it: the folder name
+    // when it isn't the slug, plus any `aliases:` (e.g. the folder's name before it was renamed)
+    aliases: [project.name, ...asList(data.aliases).map(String)].filter(alias => alias !== slug && isFolderName(alias))
   };
 }
 
@@ -190,197 +639,1101 @@ function getAllProjects() {
     });
   });
   
+  const collisions = findSlugCollisions(allProjects);
+  if (collisions.length > 0) {
+    console.error('❌ Projects would be written to the same folder:');
+    collisions.forEach(collision => console.error(`   - ${collision}`));
+    console.error('   Give one of them a different `slug:` in its info.md');
+    process.exit(1);
+  }
+  
   return allProjects;
 }
 
-// Optimize and copy images to output, copy PDFs as-is
-async function optimizeProjectImages(project) {
+// Describe projects of the same type whose slugs clash (compared case-insensitively, since
+// folders on macOS and Windows are too). Takes { type, name, slug } objects.
+function findSlugCollisions(projects) {
+  const byPath = new Map();
+  projects.forEach(project => {
+    const key = `${project.type}/${project.slug.toLowerCase()}`;
+    byPath.set(key, [...(byPath.get(key) || []), project]);
+  });
+  return [...byPath.values()]
+    .filter(group => group.length > 1)
+    .map(group => `${group[0].type}/${group[0].slug}: ${group.map(project => `"${project.name}"`).join(', ')}`);
+}
+
+// Frontmatter checks for --check. Each returns an error message, or null if the value is fine.
+function checkString(value) {
+  return typeof value === 'string' || typeof value === 'number' ? null : `expected text, got ${configType(value)}`;
+}
+
+function checkDate(value) {
+  // YAML turns full dates (2024-11-05) into Date objects; years come through as numbers
+  if (value instanceof Date) return null;
+  return /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/.test(String(value))
+    ? null
+    : `"${value}" is not a date (use YYYY, YYYY-MM or YYYY-MM-DD)`;
+}
+
+function checkBoolean(value) {
+  return typeof value === 'boolean' ? null : `expected true or false, got ${JSON.stringify(value)}`;
+}
+
+function checkNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? null : `expected a number, got ${JSON.stringify(value)}`;
+}
+
+function checkPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0 ? null : `expected a whole number of 1 or more, got ${JSON.stringify(value)}`;
+}
+
+function checkTemplate(value) {
+  if (typeof value !== 'string') return `expected a template name, got ${configType(value)}`;
+  return resolveTemplate(value) ? null : `template "${value}" not found in ${TEMPLATES_DIR}`;
+}
+
+// A URL (or list of them) that the named embed provider understands
+function checkProviderUrls(providerName, example) {
+  return value => {
+    const bad = asList(value).find(url => !findEmbedProvider(url, providerName));
+    return bad === undefined ? null : `${JSON.stringify(bad)} is not a recognized ${EMBED_PROVIDERS[providerName].label} URL (e.g. ${example})`;
+  };
+}
+
+// The `embeds:` list: URLs, or { url, provider, title } to pick a provider or name the embed
+function checkEmbeds(value) {
+  if (!Array.isArray(value)) return `expected a list of URLs, got ${configType(value)}`;
+  
+  for (const [index, entry] of value.entries()) {
+    const label = `entry ${index + 1}`;
+    const options = typeof entry === 'string' ? { url: entry } : entry;
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return `${label}: expected a URL or { url, provider, title }, got ${configType(entry)}`;
+    }
+    const unknown = Object.keys(options).find(key => !['url', 'provider', 'title'].includes(key));
+    if (unknown) return `${label}: unknown key "${unknown}" (use url, provider or title)`;
+    if (typeof options.url !== 'string') return `${label}: "url" is required`;
+    if (options.title !== undefined && checkString(options.title)) return `${label}: title: ${checkString(options.title)}`;
+    if (options.provider !== undefined && !EMBED_PROVIDERS[options.provider]) {
+      return `${label}: unknown provider ${JSON.stringify(options.provider)} (use ${Object.keys(EMBED_PROVIDERS).join(', ')})`;
+    }
+    if (!findEmbedProvider(options.url, options.provider)) {
+      return options.provider
+        ? `${label}: ${JSON.stringify(options.url)} is not a ${EMBED_PROVIDERS[options.provider].label} URL`
+        : `${label}: no provider recognizes ${JSON.stringify(options.url)} (set provider: iframe or oembed to embed any page)`;
+    }
+  }
+  return null;
+}
+
+// Every embed URL a project's frontmatter could use. URLs from `embeds:` may rely on an explicit
+// provider; anywhere else a URL has to be recognized on its own.
+function frontmatterEmbedUrls(data) {
+  const mediaUrls = asList(data.media).map(entry => typeof entry === 'string' ? entry : entry && entry.file);
+  return asList(data.embeds).map(entry => typeof entry === 'string' ? entry : entry && entry.url)
+    .concat([...asList(data.vimeo), ...asList(data.youtube), ...mediaUrls, data.cover].filter(url => findEmbedProvider(url)));
+}
+
+// The `media:` list: filenames in images/ or embed URLs, optionally with caption, alt and position
+function checkMedia(value, project, data) {
+  if (!Array.isArray(value)) return `expected a list of files, got ${configType(value)}`;
+  const imagesPath = path.join(project.path, 'images');
+  const files = fs.existsSync(imagesPath) ? fs.readdirSync(imagesPath) : [];
+  const embedUrls = frontmatterEmbedUrls(data);
+  
+  for (const [index, entry] of value.entries()) {
+    const label = `entry ${index + 1}`;
+    const options = typeof entry === 'string' ? { file: entry } : entry;
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return `${label}: expected a filename or { file, caption, alt, position }, got ${configType(entry)}`;
+    }
+    const unknown = Object.keys(options).find(key => !['file', 'caption', 'alt', 'position'].includes(key));
+    if (unknown) return `${label}: unknown key "${unknown}" (use file, caption, alt or position)`;
+    if (typeof options.file !== 'string') return `${label}: "file" is required`;
+    const badText = ['caption', 'alt'].find(key => options[key] !== undefined && checkString(options[key]));
+    if (badText) return `${label}: ${badText}: ${checkString(options[badText])}`;
+    if (options.position !== undefined && checkPositiveInteger(options.position)) {
+      return `${label}: position: ${checkPositiveInteger(options.position)}`;
+    }
+    if (!resolveMediaEntry(options.file, files, embedUrls)) {
+      return /^https?:\/\//.test(options.file)
+        ? `${label}: ${JSON.stringify(options.file)} is not a recognized embed URL (add it to embeds: with a provider)`
+        : `${label}: images/${options.file} not found (or not an image, PDF or video)`;
+    }
+  }
+  return null;
+}
+
+// The card image: a file in images/ or one of the project's embed URLs
+function checkCover(value, project, data) {
+  if (typeof value !== 'string') return `expected a filename or URL, got ${configType(value)}`;
+  const imagesPath = path.join(project.path, 'images');
+  const files = fs.existsSync(imagesPath) ? fs.readdirSync(imagesPath) : [];
+  if (resolveMediaEntry(value, files, frontmatterEmbedUrls(data))) return null;
+  return /^https?:\/\//.test(value)
+    ? `${JSON.stringify(value)} is not one of the project's embeds`
+    : `images/${value} not found (or not an image, PDF or video)`;
+}
+
+function checkFocus(value) {
+  return parseFocus(value) ? null : `${JSON.stringify(value)} is not a focus (use attention, entropy, center or a point like "30% 20%")`;
+}
+
+// An image file, relative to the project folder (e.g. still.jpg or images/still.jpg)
+function checkThumbnail(value, project) {
+  if (typeof value !== 'string') return `expected an image path, got ${configType(value)}`;
+  if (!IMAGE_FILE_PATTERN.test(value)) return `"${value}" is not an image (use jpg, jpeg, png, gif or webp)`;
+  return fs.existsSync(path.join(project.path, value)) ? null : `${value} not found in the project folder`;
+}
+
+// `tags:` and `materials:` are comma-separated text or a list of names
+function checkTerms(value) {
+  const terms = asList(value);
+  const index = terms.findIndex(term => checkString(term));
+  if (index === -1) return null;
+  return `${Array.isArray(value) ? `entry ${index + 1}: ` : ''}expected text, got ${configType(terms[index])}`;
+}
+
+// A `slug:` must already be URL-safe (the build would otherwise change it)
+function checkSlug(value) {
+  const error = checkString(value);
+  if (error) return error;
+  const slug = slugify(value);
+  if (!slug) return 'needs at least one letter or digit';
+  return slug === String(value) ? null : `use lowercase letters, digits and hyphens, e.g. "${slug}"`;
+}
+
+// `aliases:` is an old folder name or a list of them
+function checkAliases(value) {
+  const aliases = asList(value);
+  const index = aliases.findIndex(alias => checkString(alias) || !isFolderName(String(alias)));
+  if (index === -1) return null;
+  return `${Array.isArray(value) ? `entry ${index + 1}: ` : ''}expected a folder name, got ${JSON.stringify(aliases[index])}`;
+}
+
+// Documented info.md frontmatter keys
+const FRONTMATTER_SCHEMA = {
+  title: { description: 'Project title (defaults to the folder name)', check: checkString },
+  date: { description: 'YYYY, YYYY-MM or YYYY-MM-DD', check: checkDate },
+  updated: { description: 'Date last changed, for the sitemap and feeds (defaults to the newest file date)', check: checkDate },
+  materials: { description: 'Materials/tools, e.g. "InDesign, Analog" or a list', check: checkTerms },
+  tags: { description: 'Tags, e.g. "typography, editorial" or a list', check: checkTerms },
+  description: { description: 'Summary for search results and link previews (defaults to the statement\'s first paragraph)', check: checkString },
+  embeds: { description: 'Embedded media: URLs, or { url, provider, title } entries', check: checkEmbeds },
+  vimeo: { description: 'Vimeo URL or list of URLs', check: checkProviderUrls('vimeo', 'https://vimeo.com/123456789') },
+  youtube: { description: 'YouTube URL or list of URLs', check: checkProviderUrls('youtube', 'https://www.youtube.com/watch?v=VIDEO_ID') },
+  cover: { description: 'File in images/ or embed URL to use as the project card', check: checkCover },
+  focus: { description: 'Card crop: attention, entropy, center or a point like "30% 20%"', check: checkFocus },
+  thumbnail: { description: 'Image (relative to the project folder) used when no media has a thumbnail, e.g. offline', check: checkThumbnail },
+  pdfPage: { description: 'PDF page used for the preview image (default 1)', check: checkPositiveInteger },
+  slug: { description: 'URL and output folder name (defaults to the folder name, slugified)', check: checkSlug },
+  aliases: { description: 'Old folder names that redirect to this project, e.g. after renaming it', check: checkAliases },
+  template: { description: 'Template name in templates/ for this project page', check: checkTemplate },
+  order: { description: 'Position on the type page (lower numbers first)', check: checkNumber },
+  featured: { description: 'true to pin the project to the top of its type page', check: checkBoolean },
+  hidden: { description: 'true to leave the project off the index pages (its page is still built)', check: checkBoolean },
+  media: { description: 'Slide order with optional caption, alt and position per file or embed URL', check: checkMedia }
+};
+
+// Closest known frontmatter key to a misspelled one (within two edits), for "did you mean" hints
+function suggestFrontmatterKey(key) {
+  function distance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  }
+  
+  const [best] = Object.keys(FRONTMATTER_SCHEMA)
+    .map(known => ({ known, score: distance(key.toLowerCase(), known.toLowerCase()) }))
+    .sort((a, b) => a.score - b.score);
+  return best && best.score <= 2 ? best.known : null;
+}
+
+// List the problems with one project folder (frontmatter, missing info.md, images/ contents)
+function checkProject(project) {
+  const problems = [];
+  const infoPath = path.join(project.path, 'info.md');
+  
+  let data = {};
+  if (!fs.existsSync(infoPath)) {
+    problems.push('missing info.md');
+  } else {
+    try {
+      data = matter(fs.readFileSync(infoPath, 'utf-8')).data;
+    } catch (error) {
+      problems.push(`info.md frontmatter could not be parsed: ${error.message}`);
+    }
+  }
+  
+  Object.keys(data).forEach(key => {
+    const rule = FRONTMATTER_SCHEMA[key];
+    if (!rule) {
+      const suggestion = suggestFrontmatterKey(key);
+      problems.push(`unknown frontmatter key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+      return;
+    }
+    const error = rule.check(data[key], project, data);
+    if (error) problems.push(`${key}: ${error}`);
+  });
+  
+  const imagesPath = path.join(project.path, 'images');
+  if (fs.existsSync(imagesPath)) {
+    // Hidden files (.gitkeep, .DS_Store) are ignored by the build, so they don't count
+    const entries = fs.readdirSync(imagesPath);
+    const files = entries.filter(file => !file.startsWith('.') && file !== 'Thumbs.db');
+    const supported = files.filter(file => IMAGE_FILE_PATTERN.test(file) || PDF_FILE_PATTERN.test(file) || VIDEO_FILE_PATTERN.test(file));
+    
+    files.filter(file => !supported.includes(file)).forEach(file => {
+      problems.push(`images/${file}: unsupported file type (use jpg, jpeg, png, gif, webp, pdf, mp4, m4v, mov or webm)`);
+    });
+    // A folder holding only a .gitkeep is a placeholder for media still to come
+    if (supported.length === 0 && !(files.length === 0 && entries.includes('.gitkeep'))) {
+      problems.push('images/ folder has no images, PDFs or videos');
+    }
+  }
+  
+  return problems;
+}
+
+// Validate every project and exit non-zero if anything is wrong (node build.js --check)
+function checkProjects() {
+  console.log('🔎 Checking projects...\n');
+  
+  const projects = getProjectTypes().flatMap(getProjectsInType);
+  let problemCount = 0;
+  let projectsWithProblems = 0;
+  
+  projects.forEach(project => {
+    const problems = checkProject(project);
+    if (problems.length === 0) {
+      console.log(`  ✓ ${project.type}/${project.name}`);
+      return;
+    }
+    
+    console.log(`  ✗ ${project.type}/${project.name}`);
+    problems.forEach(problem => console.log(`      - ${problem}`));
+    problemCount += problems.length;
+    projectsWithProblems++;
+  });
+  
+  // Two projects that would share an output folder (frontmatter that doesn't parse was reported above)
+  const slugged = projects.map(project => {
+    let data = {};
+    try {
+      data = matter(fs.readFileSync(path.join(project.path, 'info.md'), 'utf-8')).data;
+    } catch (error) {
+      // Missing or unreadable info.md: the folder name decides the slug
+    }
+    return { ...project, slug: projectSlug(project.name, data) };
+  });
+  findSlugCollisions(slugged).forEach(collision => {
+    console.log(`  ✗ slug collision ${collision} (give one a different \`slug:\`)`);
+    problemCount++;
+  });
+  
+  if (problemCount > 0) {
+    console.log(`\n❌ Found ${problemCount} problem${problemCount === 1 ? '' : 's'} in ${projectsWithProblems} of ${projects.length} projects\n`);
+    process.exitCode = 1;
+  } else {
+    console.log(`\n✨ All ${projects.length} projects look good\n`);
+  }
+}
+
+// Load the incremental build cache (pass force = true to ignore previous results)
+function loadBuildCache(force = false) {
+  let entries = {};
+  
+  if (!force && fs.existsSync(CACHE_FILE)) {
+    try {
+      entries = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf-8')).entries || {};
+    } catch (error) {
+      console.warn(`⚠️  Ignoring unreadable build cache: ${error.message}`);
+    }
+  }
+  
+  // Entries touched by this build go into `next`, so removed sources drop out of the manifest
+  return { entries, next: {}, force, hits: 0, misses: 0 };
+}
+
+// Write the build cache back to disk (partial builds keep the entries they didn't touch)
+function saveBuildCache(cache, partial = false) {
+  const entries = partial ? { ...cache.entries, ...cache.next } : cache.next;
+  fs.writeFileSync(CACHE_FILE, JSON.stringify({ entries }, null, 2));
+}
+
+// Hash a source file's contents together with the settings used to process it
+function hashInputs(buffer, settings) {
+  return crypto.createHash('sha256')
+    .update(buffer)
+    .update(JSON.stringify(settings))
+    .digest('hex');
+}
+
+// Only the IMAGE_CONFIG values that change encoded output belong in the cache key
+function imageCacheSettings() {
+  return {
+    maxWidth: IMAGE_CONFIG.maxWidth,
+    thumbnailWidth: IMAGE_CONFIG.thumbnailWidth,
+    webpQuality: IMAGE_CONFIG.webpQuality,
+    thumbnailQuality: IMAGE_CONFIG.thumbnailQuality,
+    maintainAspectRatio: IMAGE_CONFIG.maintainAspectRatio,
+    responsiveWidths: IMAGE_CONFIG.responsiveWidths,
+    formats: IMAGE_CONFIG.formats,
+    avifQuality: IMAGE_CONFIG.avifQuality,
+    jpegQuality: IMAGE_CONFIG.jpegQuality,
+    colorProfile: IMAGE_CONFIG.colorProfile,
+    autoOrient: true
+  };
+}
+
+// Look up a still-valid cache entry (same inputs and all outputs still on disk), or null
+function isCached(cache, key, hash) {
+  const entry = cache.entries[key];
+  if (!entry || entry.hash !== hash) return null;
+  if (!entry.outputs.every(output => fs.existsSync(output))) return null;
+  
+  cache.next[key] = entry;
+  cache.hits++;
+  entry.outputs.forEach(markBuilt);
+  return entry;
+}
+
+// Record the outputs produced for a cache entry (plus any info needed when generating pages)
+function recordCache(cache, key, hash, outputs, info) {
+  cache.next[key] = { hash, outputs, info };
+  cache.misses++;
+  outputs.forEach(markBuilt);
+}
+
+// Thumbnail filename for an embed (also its build cache key, even when it has no thumbnail)
+function embedThumbnailName(embed) {
+  return `${embed.provider}-${embed.id}-thumb.jpg`;
+}
+
+// Resolve a project's embeds through their providers and download their thumbnails (skipped when
+// already cached). The player URL is kept in the cache, so providers that look it up online still
+// work in offline builds.
+async function resolveEmbeds(project, destImages, cache) {
+  await Promise.all(project.embeds.map(async embed => {
+    const provider = EMBED_PROVIDERS[embed.provider];
+    const thumbnailName = embedThumbnailName(embed);
+    const thumbnailPath = path.join(destImages, thumbnailName);
+    const hash = hashInputs(embed.url, { provider: embed.provider });
+    
+    const cached = isCached(cache, thumbnailPath, hash);
+    if (cached && cached.info) {
+      project.renditions[embed.url] = cached.info;
+      console.log(`    ✓ ${provider.label} embed unchanged: ${embed.url}`);
+      return;
+    }
+    
+    let resolved;
+    try {
+      resolved = await provider.resolve(embed.url, embed.id);
+    } catch (error) {
+      console.error(`    ✗ Error resolving ${provider.label} embed ${embed.url}:`, error.message);
+      return;
+    }
+    
+    // A thumbnail's only input is its URL (part of the filename), so an existing file is reused
+    // unless --force is set. This also keeps offline builds from discarding thumbnails already on disk.
+    let thumbnail = null;
+    if (!cache.force && fs.existsSync(thumbnailPath)) {
+      thumbnail = thumbnailName;
+      console.log(`    ✓ ${provider.label} thumbnail already exists: ${thumbnailName}`);
+    } else {
+      // Providers may offer several thumbnail URLs, best first
+      let lastError = null;
+      for (const thumbnailUrl of resolved.thumbnailUrls) {
+        try {
+          await downloadFile(thumbnailUrl, thumbnailPath);
+          thumbnail = thumbnailName;
+          console.log(`    ✓ Downloaded ${provider.label} thumbnail: ${thumbnailName}`);
+          break;
+        } catch (error) {
+          lastError = error;
+        }
+      }
+      if (!thumbnail && lastError) {
+        console.error(`    ✗ Error downloading ${provider.label} thumbnail for ${embed.url}:`, lastError.message);
+        // Keep the one from an earlier build (--force while offline)
+        if (fs.existsSync(thumbnailPath)) {
+          thumbnail = thumbnailName;
+          console.log(`    ✓ Keeping existing ${provider.label} thumbnail: ${thumbnailName}`);
+        }
+      }
+    }
+    
+    const info = { embedUrl: resolved.embedUrl, thumbnail };
+    project.renditions[embed.url] = info;
+    // Not cached when the thumbnail download failed, so the next build tries again
+    if (thumbnail || resolved.thumbnailUrls.length === 0) {
+      recordCache(cache, thumbnailPath, hash, thumbnail ? [thumbnailPath] : [], info);
+    }
+  }));
+}
+
+// Output name of a project's fallback thumbnail (see createFallbackThumbnail)
+const FALLBACK_THUMBNAIL_NAME = 'fallback-thumb.jpg';
+
+// Split text into lines of at most maxLength characters (longer words get a line of their own)
+function wrapText(text, maxLength) {
+  const lines = [];
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last && `${last} ${word}`.length <= maxLength) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  });
+  return lines;
+}
+
+// Render a placeholder card: the title in white on a background color picked from the title,
+// so each project gets its own color
+function renderPlaceholderCard(title, width, height) {
+  const hue = parseInt(crypto.createHash('sha256').update(title).digest('hex').slice(0, 4), 16) % 360;
+  const lines = wrapText(title, 18).slice(0, 4);
+  const fontSize = Math.round(width / 12);
+  const lineHeight = Math.round(fontSize * 1.2);
+  const firstLine = height / 2 - ((lines.length - 1) * lineHeight) / 2;
+  const text = lines
+    .map((line, index) => `<tspan x="50%" y="${firstLine + index * lineHeight}">${escapeHtml(line)}</tspan>`)
+    .join('');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <rect width="100%" height="100%" fill="hsl(${hue}, 45%, 35%)"/>
+    <text fill="#FFFFFF" font-family="${escapeHtml(DESIGN_CONFIG.fonts.body)}" font-size="${fontSize}" text-anchor="middle" dominant-baseline="middle">${text}</text>
+  </svg>`;
+  return sharp(Buffer.from(svg)).jpeg({ quality: IMAGE_CONFIG.jpegQuality }).toBuffer();
+}
+
+// Picture for a project whose media has none to offer (say an offline build couldn't download its
+// embed thumbnails): the `thumbnail:` frontmatter image, otherwise a generated placeholder card.
+// A `thumbnail:` image also stands in for missing embed thumbnails on the project page.
+async function createFallbackThumbnail(project, destImages, cache) {
+  let sourcePath = project.thumbnail ? path.join(project.path, project.thumbnail) : null;
+  if (sourcePath && !fs.existsSync(sourcePath)) {
+    console.warn(`    ⚠️  thumbnail: ${project.thumbnail} not found, using a placeholder`);
+    sourcePath = null;
+  }
+  const embedsWithoutThumbnail = project.embeds.some(embed => project.renditions[embed.url] && !project.renditions[embed.url].thumbnail);
+  if (cardPicture(project) && !(sourcePath && embedsWithoutThumbnail)) return;
+  
+  const outputPath = path.join(destImages, FALLBACK_THUMBNAIL_NAME);
+  const width = IMAGE_CONFIG.thumbnailWidth;
+  try {
+    const input = sourcePath ? fs.readFileSync(sourcePath) : project.title;
+    const hash = hashInputs(input, { width, jpegQuality: IMAGE_CONFIG.jpegQuality, colorProfile: IMAGE_CONFIG.colorProfile, font: DESIGN_CONFIG.fonts.body, generated: !sourcePath });
+    const cached = isCached(cache, outputPath, hash);
+    if (cached) {
+      project.fallbackThumbnail = cached.info;
+      console.log(`    ✓ ${FALLBACK_THUMBNAIL_NAME} unchanged, skipping`);
+      return;
+    }
+    
+    const image = sourcePath
+      ? await openImage(input).resize({ width, withoutEnlargement: true }).jpeg({ quality: IMAGE_CONFIG.jpegQuality }).toBuffer()
+      : await renderPlaceholderCard(project.title, width, Math.round(width / (parseAspectRatio(IMAGE_CONFIG.cardAspectRatio) || 4 / 3)));
+    writeOutput(outputPath, image);
+    
+    const info = { file: FALLBACK_THUMBNAIL_NAME, generated: !sourcePath };
+    project.fallbackThumbnail = info;
+    recordCache(cache, outputPath, hash, [outputPath], info);
+    console.log(`    ✓ ${sourcePath ? `Thumbnail from ${project.thumbnail}` : 'Generated placeholder thumbnail'} → ${FALLBACK_THUMBNAIL_NAME}`);
+  } catch (error) {
+    console.error('    ✗ Error creating fallback thumbnail:', error.message);
+  }
+}
+
+// The picture used for a project's card: the `cover:` item, otherwise the first image or PDF,
+// then the first video poster, then the first embed thumbnail (in media order), then the fallback
+// thumbnail. Returns { item, name, info, source, file } - the media item, the base name of its
+// responsive renditions and their info (null for single-file thumbnails), the file to crop cards
+// from, and a single-file fallback in images/ - or null when the project has nothing to show.
+function cardPicture(project) {
+  const destImages = path.join(OUTPUT_DIR, project.type, project.slug, 'images');
+  function picture(item) {
+    const info = project.renditions[item.file] || {};
+    const name = path.parse(item.file).name;
+    if (item.type === 'image') {
+      return { item, name, info: project.renditions[item.file] || null, source: path.join(project.path, 'images', item.file), file: `${name}-thumb.webp` };
+    }
+    if (item.type === 'pdf') {
+      const previewName = pdfPreviewName(item.file);
+      return { item, name: previewName, info: project.renditions[item.file] || null, source: path.join(destImages, `${previewName}.webp`), file: `${previewName}-thumb.webp` };
+    }
+    if (item.type === 'video' && info.poster) {
+      return { item, name: `${name}-poster`, info: info.poster, source: path.join(destImages, `${name}-poster.webp`), file: `${name}-poster-thumb.webp` };
+    }
+    if (item.type === 'embed' && info.thumbnail) {
+      return { item, name: path.parse(info.thumbnail).name, info: null, source: path.join(destImages, info.thumbnail), file: info.thumbnail };
+    }
+    return null;
+  }
+  
+  const cover = project.cover && project.media.find(item => item.file === project.cover);
+  const first = types => project.media.filter(item => types.includes(item.type)).map(picture).find(Boolean);
+  const fallback = project.fallbackThumbnail && {
+    item: null,
+    name: path.parse(project.fallbackThumbnail.file).name,
+    info: null,
+    source: path.join(destImages, project.fallbackThumbnail.file),
+    file: project.fallbackThumbnail.file
+  };
+  return (cover && picture(cover)) || first(['image', 'pdf']) || first(['video']) || first(['embed']) || fallback || null;
+}
+
+// Base name of a PDF's preview renditions (brochure.pdf → brochure-pdf.webp), kept apart from an
+// image with the same name (brochure.jpg → brochure.webp)
+function pdfPreviewName(pdf) {
+  return `${path.parse(pdf).name}-pdf`;
+}
+
+// Encode a card picture cropped to an aspect ratio (width / height) at the responsive widths and
+// formats. focus is a crop strategy ('attention', 'entropy', 'center') or an { x, y } point.
+async function encodeCardVariants(imageBuffer, destImages, cardName, ratio, focus) {
+  const metadata = uprightSize(await sharp(imageBuffer).metadata());
+  
+  // Largest area of that shape the source can fill, centered on the focus point if there is one
+  const cropWidth = Math.min(metadata.width, Math.round(metadata.height * ratio));
+  const cropHeight = Math.min(metadata.height, Math.round(cropWidth / ratio));
+  const clamp = (value, max) => Math.round(Math.min(Math.max(value, 0), max));
+  const box = typeof focus === 'object' ? {
+    left: clamp(focus.x * metadata.width - cropWidth / 2, metadata.width - cropWidth),
+    top: clamp(focus.y * metadata.height - cropHeight / 2, metadata.height - cropHeight),
+    width: cropWidth,
+    height: cropHeight
+  } : null;
+  
+  const widths = [...new Set(IMAGE_CONFIG.responsiveWidths.map(w => Math.min(w, cropWidth)))]
+    .sort((a, b) => a - b);
+  const outputs = [];
+  
+  for (const width of widths) {
+    const height = Math.round(width / ratio);
+    const resized = box
+      ? openImage(imageBuffer).extract(box).resize(width, height)
+      : openImage(imageBuffer).resize(width, height, { fit: 'cover', position: focus === 'center' ? 'centre' : sharp.strategy[focus] });
+    for (const format of IMAGE_CONFIG.formats) {
+      const renditionPath = path.join(destImages, `${cardName}-${width}.${format === 'jpeg' ? 'jpg' : format}`);
+      await resized.clone()
+        .toFormat(format, { quality: imageFormatQuality(format) })
+        .toFile(renditionPath);
+      outputs.push(renditionPath);
+    }
+  }
+  
+  const largestWidth = widths[widths.length - 1];
+  return {
+    outputs,
+    info: { name: cardName, width: largestWidth, height: Math.round(largestWidth / ratio), widths, formats: IMAGE_CONFIG.formats }
+  };
+}
+
+// Crop the card picture to image.cardAspectRatio - around the `focus:` point, or wherever the
+// crop mode (`focus:` or image.cardCrop) finds the subject - so every card has the same shape
+async function createCardThumbnail(project, destImages, cache) {
+  const ratio = parseAspectRatio(IMAGE_CONFIG.cardAspectRatio);
+  const picture = cardPicture(project);
+  if (!ratio || !picture) return;
+  if (project.cover && project.media.some(item => item.file === project.cover) && (!picture.item || picture.item.file !== project.cover)) {
+    console.warn(`    ⚠️  cover ${project.cover} has no picture to use, showing ${picture.file} instead`);
+  }
+  if (!fs.existsSync(picture.source)) return;
+  
+  const cardName = `${picture.name}-card`;
+  const cacheKey = path.join(destImages, cardName);
+  const focus = project.focus || IMAGE_CONFIG.cardCrop;
+  try {
+    const imageBuffer = fs.readFileSync(picture.source);
+    const hash = hashInputs(imageBuffer, { ...imageCacheSettings(), cardAspectRatio: IMAGE_CONFIG.cardAspectRatio, focus });
+    const cached = isCached(cache, cacheKey, hash);
+    if (cached) {
+      project.card = cached.info;
+      console.log(`    ✓ ${cardName} unchanged, skipping`);
+      return;
+    }
+    
+    const { outputs, info } = await encodeCardVariants(imageBuffer, destImages, cardName, ratio, focus);
+    project.card = info;
+    recordCache(cache, cacheKey, hash, outputs, info);
+    console.log(`    ✓ Cropped card ${cardName} (${IMAGE_CONFIG.cardAspectRatio}, ${typeof focus === 'object' ? `focus ${Math.round(focus.x * 100)}% ${Math.round(focus.y * 100)}%` : focus}) → ${outputs.length} renditions`);
+  } catch (error) {
+    console.error('    ✗ Error creating card thumbnail:', error.message);
+  }
+}
+
+// Open an image for encoding: turned upright from its EXIF orientation, and writing its color
+// profile per image.colorProfile. Nothing else from the source's metadata (EXIF with the GPS
+// position and camera details, XMP, IPTC) is copied into the files sharp writes.
+function openImage(imageBuffer) {
+  const image = sharp(imageBuffer).autoOrient();
+  return IMAGE_CONFIG.colorProfile === 'keep'
+    ? image.keepIccProfile()
+    : image.toColourspace('srgb').withIccProfile('srgb');
+}
+
+// Width and height of an image once it's turned upright (from sharp's metadata())
+function uprightSize(metadata) {
+  return metadata.autoOrient || { width: metadata.width, height: metadata.height };
+}
+
+// Read the parts of an EXIF block the metadata report names: whether it has a GPS position, and
+// the camera make and model. Only the first IFD of the TIFF structure is needed for these.
+function readExifSummary(exif) {
+  const tiff = exif.subarray(exif.toString('latin1', 0, 6) === 'Exif\0\0' ? 6 : 0);
+  const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+  const uint16 = offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const uint32 = offset => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+  const summary = { gps: false, make: '', model: '' };
+  
+  try {
+    const ifd = uint32(4);
+    for (let index = 0; index < uint16(ifd); index++) {
+      const entry = ifd + 2 + index * 12;
+      const tag = uint16(entry);
+      if (tag === 0x8825) summary.gps = true;
+      if (tag === 0x010F || tag === 0x0110) {
+        // ASCII values longer than four bytes are stored elsewhere, at the given offset
+        const length = uint32(entry + 4);
+        const offset = length > 4 ? uint32(entry + 8) : entry + 8;
+        const text = tiff.toString('latin1', offset, offset + length).replace(/\0[\s\S]*$/, '').trim();
+        summary[tag === 0x010F ? 'make' : 'model'] = text;
+      }
+    }
+  } catch (error) {
+    // Truncated or malformed EXIF: report whatever was read before it
+  }
+  return summary;
+}
+
+// Describe the metadata an image's published files leave out (for the build's metadata report)
+function describeRemovedMetadata(metadata) {
+  const removed = [];
+  const exif = metadata.exif ? readExifSummary(metadata.exif) : null;
+  const xmp = metadata.xmp ? metadata.xmp.toString('utf8') : '';
+  
+  if ((exif && exif.gps) || /GPSLatitude/.test(xmp)) removed.push('GPS location');
+  if (exif && (exif.make || exif.model)) {
+    // Models often repeat the make ("Canon" / "Canon EOS R6")
+    const camera = exif.model.startsWith(exif.make) ? exif.model : `${exif.make} ${exif.model}`.trim();
+    removed.push(`camera (${camera})`);
+  }
+  if (exif) removed.push('EXIF');
+  if (xmp) removed.push('XMP');
+  if (metadata.iptc) removed.push('IPTC');
+  if (metadata.icc && IMAGE_CONFIG.colorProfile !== 'keep' && metadata.space !== 'srgb') removed.push('color profile (converted to sRGB)');
+  return removed;
+}
+
+// Metadata left out of images processed in this build, reported at the end
+const metadataReport = [];
+
+// Encode every rendition of an image: full-size and thumbnail WebP, plus the responsive
+// widths/formats used in srcset. Returns the output paths and the info pages need for <picture>.
+async function encodeImageVariants(imageBuffer, destImages, imageName) {
+  const fullSizePath = path.join(destImages, `${imageName}.webp`);
+  const thumbPath = path.join(destImages, `${imageName}-thumb.webp`);
+  const imageSharp = openImage(imageBuffer);
+  const metadata = uprightSize(await imageSharp.metadata());
+  
+  // Calculate dimensions maintaining aspect ratio
+  let fullWidth = IMAGE_CONFIG.maxWidth;
+  let fullHeight = null;
+  let thumbWidth = IMAGE_CONFIG.thumbnailWidth;
+  let thumbHeight = null;
+  
+  if (IMAGE_CONFIG.maintainAspectRatio && metadata.width && metadata.height) {
+    if (metadata.width > IMAGE_CONFIG.maxWidth) {
+      fullHeight = Math.round((IMAGE_CONFIG.maxWidth / metadata.width) * metadata.height);
+    } else {
+      fullWidth = metadata.width;
+      fullHeight = metadata.height;
+    }
+    
+    if (metadata.width > IMAGE_CONFIG.thumbnailWidth) {
+      thumbHeight = Math.round((IMAGE_CONFIG.thumbnailWidth / metadata.width) * metadata.height);
+    } else {
+      thumbWidth = metadata.width;
+      thumbHeight = metadata.height;
+    }
+  }
+  
+  // Generate full-size optimized image
+  await imageSharp
+    .clone()
+    .resize(fullWidth, fullHeight, {
+      fit: 'inside',
+      withoutEnlargement: true
+    })
+    .webp({ quality: IMAGE_CONFIG.webpQuality })
+    .toFile(fullSizePath);
+  
+  // Generate thumbnail with sharper resampling
+  await imageSharp
+    .clone()
+    .resize(thumbWidth, thumbHeight, {
+      fit: 'inside',
+      withoutEnlargement: true,
+      kernel: 'lanczos3'  // Use Lanczos3 for sharper resampling
+    })
+    .webp({ quality: IMAGE_CONFIG.thumbnailQuality || IMAGE_CONFIG.webpQuality })
+    .toFile(thumbPath);
+  
+  // Responsive renditions: never upscale, so widths beyond the source collapse to the source width
+  const sourceWidth = Math.min(metadata.width || IMAGE_CONFIG.maxWidth, IMAGE_CONFIG.maxWidth);
+  const widths = [...new Set(IMAGE_CONFIG.responsiveWidths.map(w => Math.min(w, sourceWidth)))]
+    .sort((a, b) => a - b);
+  const outputs = [fullSizePath, thumbPath];
+  
+  for (const width of widths) {
+    const resized = imageSharp.clone().resize(width, null, { fit: 'inside', withoutEnlargement: true });
+    for (const format of IMAGE_CONFIG.formats) {
+      const renditionPath = path.join(destImages, `${imageName}-${width}.${format === 'jpeg' ? 'jpg' : format}`);
+      await resized.clone()
+        .toFormat(format, { quality: imageFormatQuality(format) })
+        .toFile(renditionPath);
+      outputs.push(renditionPath);
+    }
+  }
+  
+  // Intrinsic size of the largest rendition, so <img width/height> reserves the right space
+  const largestWidth = widths[widths.length - 1];
+  const height = metadata.width && metadata.height
+    ? Math.round((largestWidth / metadata.width) * metadata.height)
+    : null;
+  
+  return {
+    outputs,
+    info: { width: largestWidth, height, widths, formats: IMAGE_CONFIG.formats }
+  };
+}
+
+// Quality setting for a responsive rendition format
+function imageFormatQuality(format) {
+  if (format === 'avif') return IMAGE_CONFIG.avifQuality;
+  if (format === 'jpeg') return IMAGE_CONFIG.jpegQuality;
+  return IMAGE_CONFIG.webpQuality;
+}
+
+// Load pdf.js lazily (it's an ES module and only needed when a project has PDFs)
+let pdfjsPromise = null;
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+}
+
+// Rasterize one page of a PDF to a PNG buffer at the given width (rendered offline with pdf.js)
+async function renderPdfPage(pdfPath, pageNumber, width) {
+  const pdfjs = await loadPdfjs();
+  const data = new Uint8Array(fs.readFileSync(pdfPath));
+  const doc = await pdfjs.getDocument({ data, verbosity: 0 }).promise;
+  
+  try {
+    if (pageNumber < 1 || pageNumber > doc.numPages) {
+      console.warn(`    ⚠️  ${path.basename(pdfPath)} has no page ${pageNumber}, using page 1`);
+      pageNumber = 1;
+    }
+    
+    const page = await doc.getPage(pageNumber);
+    const scale = width / page.getViewport({ scale: 1 }).width;
+    const viewport = page.getViewport({ scale });
+    const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    
+    await page.render({ canvasContext: context, canvas, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    await doc.destroy();
+  }
+}
+
+// Whether the configured ffmpeg can be run (checked once per build)
+let ffmpegAvailable = null;
+function hasFfmpeg() {
+  if (ffmpegAvailable === null) {
+    const result = spawnSync(VIDEO_CONFIG.ffmpeg, ['-version'], { stdio: 'ignore' });
+    ffmpegAvailable = !result.error && result.status === 0;
+  }
+  return ffmpegAvailable;
+}
+
+// Run ffmpeg and resolve with its stdout (rejects with the end of its error output)
+function runFfmpeg(ffmpegArgs) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(VIDEO_CONFIG.ffmpeg, ['-hide_banner', '-loglevel', 'error', ...ffmpegArgs]);
+    const stdout = [];
+    let stderr = '';
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) {
+        resolve(Buffer.concat(stdout));
+      } else {
+        reject(new Error(stderr.trim().split('\n').slice(-3).join(' ') || `ffmpeg exited with code ${code}`));
+      }
+    });
+  });
+}
+
+// MIME type for a video file, used in <source type="...">
+function videoMimeType(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.webm') return 'video/webm';
+  if (extension === '.mov') return 'video/quicktime';
+  return 'video/mp4';
+}
+
+// ffmpeg encoder settings for each video rendition format
+const VIDEO_ENCODERS = {
+  mp4: ['-c:v', 'libx264', '-crf', '23', '-preset', 'medium', '-pix_fmt', 'yuv420p', '-movflags', '+faststart', '-c:a', 'aac', '-b:a', '128k'],
+  webm: ['-c:v', 'libvpx-vp9', '-crf', '33', '-b:v', '0', '-row-mt', '1', '-c:a', 'libopus', '-b:a', '96k']
+};
+
+// Transcode a video into the configured formats and grab a poster frame. Returns the written files
+// plus info for the page: the <source> list and the poster's responsive renditions.
+async function transcodeVideo(sourcePath, destImages, videoName) {
+  const scale = `scale='min(iw,${VIDEO_CONFIG.maxWidth})':-2`;
+  const outputs = [];
+  const sources = [];
+  
+  for (const format of VIDEO_CONFIG.formats) {
+    const fileName = `${videoName}.${format}`;
+    const destPath = path.join(destImages, fileName);
+    await runFfmpeg(['-y', '-i', sourcePath, '-map_metadata', '-1', '-vf', scale, ...VIDEO_ENCODERS[format], destPath]);
+    outputs.push(destPath);
+    sources.push({ file: fileName, type: videoMimeType(fileName) });
+  }
+  
+  // ffmpeg's thumbnail filter picks a representative frame (rather than a black first frame)
+  const posterFrame = await runFfmpeg(['-i', sourcePath, '-vf', `thumbnail,${scale}`, '-frames:v', '1', '-f', 'image2pipe', '-c:v', 'png', '-']);
+  const poster = await encodeImageVariants(posterFrame, destImages, `${videoName}-poster`);
+  
+  return { outputs: [...outputs, ...poster.outputs], info: { sources, poster: poster.info } };
+}
+
+// Turn a frontmatter date (YYYY, YYYY-MM or YYYY-MM-DD) into a sortable timestamp, or null
+function parseProjectDate(date) {
+  const match = String(date).match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+  if (!match) return null;
+  return Date.UTC(Number(match[1]), Number(match[2] || 1) - 1, Number(match[3] || 1));
+}
+
+// Order a type's projects for its index page: featured first, then explicit `order:` values,
+// then the type's sort mode from SORT_CONFIG (ties fall back to the folder name). Lists that mix
+// types (tag and material pages) pass type = null for sort.default.
+function sortProjects(projects, type) {
+  const mode = SORT_CONFIG.types[type] || SORT_CONFIG.default;
+  
+  function compareByMode(a, b) {
+    if (mode === 'date') {
+      const dateA = parseProjectDate(a.date);
+      const dateB = parseProjectDate(b.date);
+      // Newest first; undated projects go last
+      if (dateA !== dateB) {
+        if (dateA === null) return 1;
+        if (dateB === null) return -1;
+        return dateB - dateA;
+      }
+    } else if (mode === 'title') {
+      const byTitle = String(a.title).localeCompare(String(b.title), undefined, { sensitivity: 'base' });
+      if (byTitle !== 0) return byTitle;
+    }
+    return a.name.localeCompare(b.name);
+  }
+  
+  return [...projects].sort((a, b) => {
+    if (a.featured !== b.featured) return a.featured ? -1 : 1;
+    if (a.order !== null || b.order !== null) {
+      if (a.order === null) return 1;
+      if (b.order === null) return -1;
+      if (a.order !== b.order) return a.order - b.order;
+    }
+    return compareByMode(a, b);
+  });
+}
+
+// Optimize and copy images to output, copy PDFs and render their preview images.
+// Fills project.renditions (source filename → responsive image info) for the page generators.
+async function optimizeProjectImages(project, cache) {
   const sourceImages = path.join(project.path, 'images');
   const destImages = path.join(OUTPUT_DIR, project.type, project.slug, 'images');
   
-  // Always create destImages folder (needed for Vimeo thumbnails even if no source images)
+  // Always create destImages folder (needed for embed thumbnails even if no source images)
   fs.mkdirSync(destImages, { recursive: true });
   
-  // If no source images folder, skip image processing but still download video thumbnails
+  // If no source images folder, skip image processing but still resolve embeds
   if (!fs.existsSync(sourceImages)) {
-    // Still download Vimeo and YouTube thumbnails even if no images folder exists
-    const thumbnailPromises = [];
+    await resolveEmbeds(project, destImages, cache);
+    await createFallbackThumbnail(project, destImages, cache);
+    await createCardThumbnail(project, destImages, cache);
+    return;
+  }
+  
+  // Copy PDFs as-is (they're embedded in the HTML) and rasterize a page for the card thumbnail
+  for (const pdf of project.pdfs || []) {
+    const sourcePath = path.join(sourceImages, pdf);
+    const destPath = path.join(destImages, pdf);
+    const pdfName = pdfPreviewName(pdf);
+    const pdfBuffer = fs.readFileSync(sourcePath);
+    const hash = hashInputs(pdfBuffer, { ...imageCacheSettings(), pdfPage: project.pdfPage, previewName: pdfName });
     
-    if (project.vimeos && project.vimeos.length > 0) {
-      project.vimeos.forEach((vimeoUrl) => {
-        const videoId = getVimeoId(vimeoUrl);
-        if (!videoId) return;
-        
-        const thumbnailUrl = `https://vumbnail.com/${videoId}.jpg`;
-        const thumbnailPath = path.join(destImages, `vimeo-${videoId}-thumb.jpg`);
-        
-        // Check if thumbnail already exists
-        if (fs.existsSync(thumbnailPath)) {
-          console.log(`    ✓ Vimeo thumbnail already exists: vimeo-${videoId}-thumb.jpg`);
-          return;
-        }
-        
-        thumbnailPromises.push(
-          downloadFile(thumbnailUrl, thumbnailPath)
-            .then(() => console.log(`    ✓ Downloaded Vimeo thumbnail: vimeo-${videoId}-thumb.jpg`))
-            .catch((error) => console.error(`    ✗ Error downloading Vimeo thumbnail for ${videoId}:`, error.message))
-        );
-      });
+    const cached = isCached(cache, destPath, hash);
+    if (cached) {
+      project.renditions[pdf] = cached.info;
+      console.log(`    ✓ ${pdf} unchanged, skipping`);
+      continue;
     }
     
-    if (project.youtubes && project.youtubes.length > 0) {
-      project.youtubes.forEach((youtubeUrl) => {
-        const videoId = getYouTubeId(youtubeUrl);
-        if (!videoId) return;
-        
-        const thumbnailPath = path.join(destImages, `youtube-${videoId}-thumb.jpg`);
-        
-        // Check if thumbnail already exists
-        if (fs.existsSync(thumbnailPath)) {
-          console.log(`    ✓ YouTube thumbnail already exists: youtube-${videoId}-thumb.jpg`);
-          return;
-        }
-        
-        thumbnailPromises.push(
-          downloadYouTubeThumbnail(videoId, thumbnailPath)
-            .then(() => console.log(`    ✓ Downloaded YouTube thumbnail: youtube-${videoId}-thumb.jpg`))
-            .catch((error) => console.error(`    ✗ Error downloading YouTube thumbnail for ${videoId}:`, error.message))
-        );
-      });
+    copyOutput(sourcePath, destPath);
+    console.log(`    ✓ Copied ${pdf}`);
+    
+    try {
+      const pageImage = await renderPdfPage(sourcePath, project.pdfPage, IMAGE_CONFIG.maxWidth);
+      const { outputs, info } = await encodeImageVariants(pageImage, destImages, pdfName);
+      project.renditions[pdf] = info;
+      recordCache(cache, destPath, hash, [destPath, ...outputs], info);
+      console.log(`    ✓ Rendered ${pdf} → ${pdfName}.webp + ${pdfName}-thumb.webp`);
+    } catch (error) {
+      console.error(`    ✗ Error rendering ${pdf}:`, error.message);
+    }
+  }
+  
+  // Transcode video files one at a time (ffmpeg already uses every core), or copy them as-is
+  for (const video of project.videoFiles || []) {
+    const sourcePath = path.join(sourceImages, video);
+    const videoName = path.parse(video).name;
+    const destPath = path.join(destImages, video);
+    const transcode = VIDEO_CONFIG.transcode && hasFfmpeg();
+    const hash = hashInputs(fs.readFileSync(sourcePath), { ...imageCacheSettings(), video: VIDEO_CONFIG, transcode, metadataRemoved: hasFfmpeg() });
+    
+    // Keyed on the output path, so a project that moves to a new slug is encoded again
+    const cached = isCached(cache, destPath, hash);
+    if (cached) {
+      project.renditions[video] = cached.info;
+      console.log(`    ✓ ${video} unchanged, skipping`);
+      continue;
+    }
+    
+    if (!hasFfmpeg()) {
+      console.warn(`    ⚠️  ffmpeg not found (${VIDEO_CONFIG.ffmpeg}), copying ${video} without ${VIDEO_CONFIG.transcode ? 'transcoding, a poster frame or ' : ''}removing its metadata (it may include a GPS location)`);
     }
     
-    if (thumbnailPromises.length > 0) {
-      await Promise.all(thumbnailPromises);
+    try {
+      if (transcode) {
+        const { outputs, info } = await transcodeVideo(sourcePath, destImages, videoName);
+        project.renditions[video] = info;
+        recordCache(cache, destPath, hash, outputs, info);
+        console.log(`    ✓ Transcoded ${video} → ${info.sources.map(source => source.file).join(' + ')} + ${videoName}-poster.webp`);
+        continue;
+      }
+    } catch (error) {
+      console.error(`    ✗ Error transcoding ${video}:`, error.message);
+    }
+    
+    // Not transcoded (or transcoding failed): serve the original streams, minus their metadata
+    // when ffmpeg can rewrite the container
+    try {
+      if (!hasFfmpeg()) throw new Error('ffmpeg not found');
+      await runFfmpeg(['-y', '-i', sourcePath, '-map', '0', '-c', 'copy', '-map_metadata', '-1', destPath]);
+      markBuilt(destPath);
+    } catch (error) {
+      if (hasFfmpeg()) console.warn(`    ⚠️  Couldn't remove ${video}'s metadata (${error.message}), copying it as-is`);
+      copyOutput(sourcePath, destPath);
     }
-    return;
-  }
-  
-  // Copy PDFs as-is (they'll be embedded as images in the HTML)
-  if (project.pdfs && project.pdfs.length > 0) {
-    project.pdfs.forEach(pdf => {
-      const sourcePath = path.join(sourceImages, pdf);
-      const destPath = path.join(destImages, pdf);
-      fs.copyFileSync(sourcePath, destPath);
-      console.log(`    ✓ Copied ${pdf}`);
-    });
+    const info = { sources: [{ file: video, type: videoMimeType(video) }], poster: null };
+    project.renditions[video] = info;
+    recordCache(cache, destPath, hash, [destPath], info);
+    console.log(`    ✓ Copied ${video}`);
   }
   
   // Process each image
   const optimizationPromises = project.images.map(async (image) => {
     const sourcePath = path.join(sourceImages, image);
+    const destPath = path.join(destImages, image);
     const imageName = path.parse(image).name; // Get filename without extension
-    const fullSizePath = path.join(destImages, `${imageName}.webp`);
-    const thumbPath = path.join(destImages, `${imageName}-thumb.webp`);
     
     try {
       // Load the image
       const imageBuffer = fs.readFileSync(sourcePath);
-      const imageSharp = sharp(imageBuffer);
-      const metadata = await imageSharp.metadata();
-      
-      // Calculate dimensions maintaining aspect ratio
-      let fullWidth = IMAGE_CONFIG.maxWidth;
-      let fullHeight = null;
-      let thumbWidth = IMAGE_CONFIG.thumbnailWidth;
-      let thumbHeight = null;
       
-      if (IMAGE_CONFIG.maintainAspectRatio && metadata.width && metadata.height) {
-        if (metadata.width > IMAGE_CONFIG.maxWidth) {
-          fullHeight = Math.round((IMAGE_CONFIG.maxWidth / metadata.width) * metadata.height);
-        } else {
-          fullWidth = metadata.width;
-          fullHeight = metadata.height;
-        }
-        
-        if (metadata.width > IMAGE_CONFIG.thumbnailWidth) {
-          thumbHeight = Math.round((IMAGE_CONFIG.thumbnailWidth / metadata.width) * metadata.height);
-        } else {
-          thumbWidth = metadata.width;
-          thumbHeight = metadata.height;
-        }
+      // Skip re-encoding when neither the source nor the encoding settings changed (keyed on
+      // the output path, so a project that moves to a new slug is encoded again)
+      const hash = hashInputs(imageBuffer, imageCacheSettings());
+      const cached = isCached(cache, destPath, hash);
+      if (cached) {
+        project.renditions[image] = cached.info;
+        console.log(`    ✓ ${image} unchanged, skipping`);
+        return;
       }
       
-      // Generate full-size optimized image
-      await imageSharp
-        .clone()
-        .resize(fullWidth, fullHeight, {
-          fit: 'inside',
-          withoutEnlargement: true
-        })
-        .webp({ quality: IMAGE_CONFIG.webpQuality })
-        .toFile(fullSizePath);
+      const { outputs, info } = await encodeImageVariants(imageBuffer, destImages, imageName);
+      project.renditions[image] = info;
       
-      // Generate thumbnail with sharper resampling
-      await imageSharp
-        .clone()
-        .resize(thumbWidth, thumbHeight, {
-          fit: 'inside',
-          withoutEnlargement: true,
-          kernel: 'lanczos3'  // Use Lanczos3 for sharper resampling
-        })
-        .webp({ quality: IMAGE_CONFIG.thumbnailQuality || IMAGE_CONFIG.webpQuality })
-        .toFile(thumbPath);
+      const removed = describeRemovedMetadata(await sharp(imageBuffer).metadata());
+      if (removed.length > 0) metadataReport.push({ file: path.join(project.type, project.slug, image), removed });
       
-      console.log(`    ✓ Optimized ${image} → ${imageName}.webp + ${imageName}-thumb.webp`);
+      recordCache(cache, destPath, hash, outputs, info);
+      console.log(`    ✓ Optimized ${image} → ${imageName}.webp + ${imageName}-thumb.webp + ${info.widths.length * info.formats.length} responsive renditions`);
     } catch (error) {
       console.error(`    ✗ Error optimizing ${image}:`, error.message);
-      // Fallback: copy original if optimization fails
-      fs.copyFileSync(sourcePath, path.join(destImages, image));
+      // Fallback: publish the original format, but still upright and without its metadata
+      // (never the source file itself, which may carry a GPS location)
+      try {
+        await openImage(fs.readFileSync(sourcePath)).toFile(destPath);
+        markBuilt(destPath);
+      } catch (fallbackError) {
+        console.error(`    ✗ ${image} was not published:`, fallbackError.message);
+      }
     }
   });
   
   await Promise.all(optimizationPromises);
   
-  // Download and save video thumbnails (Vimeo and YouTube)
-  const thumbnailPromises = [];
-  
-  if (project.vimeos && project.vimeos.length > 0) {
-    project.vimeos.forEach((vimeoUrl) => {
-      const videoId = getVimeoId(vimeoUrl);
-      if (!videoId) return;
-      
-      const thumbnailUrl = `https://vumbnail.com/${videoId}.jpg`;
-      const thumbnailPath = path.join(destImages, `vimeo-${videoId}-thumb.jpg`);
-      
-      // Check if thumbnail already exists
-      if (fs.existsSync(thumbnailPath)) {
-        console.log(`    ✓ Vimeo thumbnail already exists: vimeo-${videoId}-thumb.jpg`);
-        return;
-      }
-      
-      thumbnailPromises.push(
-        downloadFile(thumbnailUrl, thumbnailPath)
-          .then(() => console.log(`    ✓ Downloaded Vimeo thumbnail: vimeo-${videoId}-thumb.jpg`))
-          .catch((error) => console.error(`    ✗ Error downloading Vimeo thumbnail for ${videoId}:`, error.message))
-      );
-    });
-  }
-  
-  if (project.youtubes && project.youtubes.length > 0) {
-    project.youtubes.forEach((youtubeUrl) => {
-      const videoId = getYouTubeId(youtubeUrl);
-      if (!videoId) return;
-      
-      const thumbnailUrl = getYouTubeThumbnailUrl(videoId);
-      const thumbnailPath = path.join(destImages, `youtube-${videoId}-thumb.jpg`);
-      
-      // Check if thumbnail already exists
-      if (fs.existsSync(thumbnailPath)) {
-        console.log(`    ✓ YouTube thumbnail already exists: youtube-${videoId}-thumb.jpg`);
-        return;
-      }
-      
-      thumbnailPromises.push(
-        downloadFile(thumbnailUrl, thumbnailPath)
-          .then(() => console.log(`    ✓ Downloaded YouTube thumbnail: youtube-${videoId}-thumb.jpg`))
-          .catch((error) => console.error(`    ✗ Error downloading YouTube thumbnail for ${videoId}:`, error.message))
-      );
-    });
-  }
+  // Player URLs and thumbnails for Vimeo, SoundCloud, etc.
+  await resolveEmbeds(project, destImages, cache);
+  await createFallbackThumbnail(project, destImages, cache);
+  await createCardThumbnail(project, destImages, cache);
+}
+
+// Fill project.renditions from the build cache without touching any media
+// (used by partial builds for projects outside the rebuilt scope)
+function restoreCachedRenditions(project, cache) {
+  const destImages = path.join(OUTPUT_DIR, project.type, project.slug, 'images');
   
-  if (thumbnailPromises.length > 0) {
-    await Promise.all(thumbnailPromises);
-  }
+  project.images.forEach(image => {
+    const entry = cache.entries[path.join(destImages, image)];
+    if (entry) project.renditions[image] = entry.info;
+  });
+  (project.pdfs || []).forEach(pdf => {
+    const entry = cache.entries[path.join(destImages, pdf)];
+    if (entry) project.renditions[pdf] = entry.info;
+  });
+  (project.videoFiles || []).forEach(video => {
+    const entry = cache.entries[path.join(destImages, video)];
+    if (entry) project.renditions[video] = entry.info;
+  });
+  (project.embeds || []).forEach(embed => {
+    const entry = cache.entries[path.join(destImages, embedThumbnailName(embed))];
+    if (entry && entry.info) project.renditions[embed.url] = entry.info;
+  });
+  const fallbackEntry = cache.entries[path.join(destImages, FALLBACK_THUMBNAIL_NAME)];
+  if (fallbackEntry) project.fallbackThumbnail = fallbackEntry.info;
+  const picture = cardPicture(project);
+  const cardEntry = picture && cache.entries[path.join(destImages, `${picture.name}-card`)];
+  if (cardEntry) project.card = cardEntry.info;
 }
 
 // Helper function to extract Vimeo ID from URL
@@ -406,70 +1759,281 @@ function getYouTubeId(url) {
   return null;
 }
 
-// Helper function to get YouTube embed URL
-function getYouTubeEmbedUrl(url) {
-  const id = getYouTubeId(url);
-  return id ? `https://www.youtube.com/embed/${id}` : null;
+// Short stable ID for URLs that don't carry one of their own (used in thumbnail filenames)
+function urlId(url) {
+  return crypto.createHash('sha256').update(url).digest('hex').slice(0, 10);
+}
+
+// Read a value from an HTML page's <meta property="..." content="..."> tags
+function getMetaContent(html, property) {
+  const tag = (html.match(/<meta\s[^>]*>/gi) || [])
+    .find(meta => new RegExp(`(?:property|name)=["']${property}["']`, 'i').test(meta));
+  const match = tag && tag.match(/content=["']([^"']*)["']/i);
+  return match ? decodeHtmlEntities(match[1]) : null;
+}
+
+// Undo the entity escaping found in HTML attribute values
+function decodeHtmlEntities(text) {
+  return text.replace(/&quot;/g, '"').replace(/&#0?39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Media hosted elsewhere (video, audio, boards) is embedded through a provider:
+// - label: name shown on the slide and in messages
+// - kind: 'video', 'audio' or 'page' (sets the slide's shape and the play button wording)
+// - match(url): an ID for URLs the provider understands, or null
+// - resolve(url, id): the player URL and thumbnail URLs to try in order (may fetch from the
+//   provider; the result is kept in the build cache so offline builds still have it)
+// - autoplay: query parameter that starts playback once the visitor clicks the slide
+// Providers are tried in this order. `explicit` ones accept any URL, so they're only used when an
+// `embeds:` entry names them with `provider:`. A site can change one provider's slide markup with
+// templates/partials/embed-<provider>.ejs (the default is partials/embed).
+const EMBED_PROVIDERS = {
+  vimeo: {
+    label: 'Vimeo',
+    kind: 'video',
+    match: getVimeoId,
+    // dnt=1 turns off Vimeo's tracking cookies
+    resolve: async (url, id) => ({
+      embedUrl: `https://player.vimeo.com/video/${id}?dnt=1`,
+      thumbnailUrls: [`https://vumbnail.com/${id}.jpg`]
+    }),
+    autoplay: 'autoplay=1'
+  },
+  youtube: {
+    label: 'YouTube',
+    kind: 'video',
+    match: getYouTubeId,
+    // youtube-nocookie.com doesn't set cookies until the video is played; maxresdefault is missing
+    // for some videos, hqdefault always exists
+    resolve: async (url, id) => ({
+      embedUrl: `https://www.youtube-nocookie.com/embed/${id}`,
+      thumbnailUrls: [`https://img.youtube.com/vi/${id}/maxresdefault.jpg`, `https://img.youtube.com/vi/${id}/hqdefault.jpg`]
+    }),
+    autoplay: 'autoplay=1'
+  },
+  soundcloud: {
+    label: 'SoundCloud',
+    kind: 'audio',
+    match: url => /^https?:\/\/(?:www\.|m\.)?soundcloud\.com\/[^/?#]+\/[^?#]+/.test(url) ? urlId(url) : null,
+    // The player takes the track/playlist page URL; the artwork comes from SoundCloud's oEmbed endpoint
+    resolve: async url => {
+      const oembed = await fetchJson(`https://soundcloud.com/oembed?format=json&url=${encodeURIComponent(url)}`).catch(() => null);
+      return {
+        embedUrl: `https://w.soundcloud.com/player/?url=${encodeURIComponent(url)}&visual=true`,
+        thumbnailUrls: oembed && oembed.thumbnail_url ? [oembed.thumbnail_url] : []
+      };
+    },
+    autoplay: 'auto_play=true'
+  },
+  bandcamp: {
+    label: 'Bandcamp',
+    kind: 'audio',
+    match: url => /^https?:\/\/(?:[a-z0-9-]+\.bandcamp\.com\/(?:album|track)\/|bandcamp\.com\/EmbeddedPlayer\/)/i.test(url) ? urlId(url) : null,
+    // Player URLs (from Bandcamp's Share/Embed dialog) work as they are; album and track pages
+    // name their player and cover art in Open Graph tags
+    resolve: async url => {
+      if (/\/EmbeddedPlayer\//i.test(url)) return { embedUrl: url, thumbnailUrls: [] };
+      const html = await fetchText(url);
+      const embedUrl = getMetaContent(html, 'og:video');
+      if (!embedUrl) throw new Error('no embeddable player found on the page');
+      const image = getMetaContent(html, 'og:image');
+      return { embedUrl, thumbnailUrls: image ? [image] : [] };
+    }
+  },
+  arena: {
+    label: 'Are.na',
+    kind: 'page',
+    match: url => {
+      const match = url.match(/^https?:\/\/(?:www\.)?are\.na\/(?!block\/)([^/?#]+)\/([^/?#]+)/);
+      return match ? `${match[1]}-${match[2]}` : null;
+    },
+    resolve: async url => {
+      const [, user, channel] = url.match(/are\.na\/([^/?#]+)\/([^/?#]+)/);
+      const embedUrl = `https://www.are.na/${user}/${channel}/embed`;
+      // The channel's first image block stands in as its thumbnail
+      const contents = await fetchJson(`https://api.are.na/v2/channels/${channel}/contents?per=20`).catch(() => null);
+      const block = contents && (contents.contents || []).find(item => item.image && item.image.display);
+      return { embedUrl, thumbnailUrls: block ? [block.image.display.url] : [] };
+    }
+  },
+  oembed: {
+    label: 'Embed',
+    kind: 'video',
+    explicit: true,
+    match: url => /^https?:\/\//.test(url) ? urlId(url) : null,
+    // oEmbed discovery: the page links to a JSON description whose html holds the player iframe
+    resolve: async url => {
+      const html = await fetchText(url);
+      const link = (html.match(/<link\s[^>]*>/gi) || []).find(tag => /type=["']application\/json\+oembed["']/i.test(tag));
+      const href = link && link.match(/href=["']([^"']+)["']/i);
+      if (!href) throw new Error('the page has no oEmbed link');
+      const oembed = await fetchJson(new URL(decodeHtmlEntities(href[1]), url).href);
+      const src = (oembed.html || '').match(/<iframe\s[^>]*src=["']([^"']+)["']/i);
+      if (!src) throw new Error('the oEmbed response has no iframe player');
+      return {
+        embedUrl: decodeHtmlEntities(src[1]),
+        thumbnailUrls: oembed.thumbnail_url ? [oembed.thumbnail_url] : []
+      };
+    }
+  },
+  iframe: {
+    label: 'Embed',
+    kind: 'page',
+    explicit: true,
+    match: url => /^https?:\/\//.test(url) ? urlId(url) : null,
+    resolve: async url => ({ embedUrl: url, thumbnailUrls: [] })
+  }
+};
+
+// Find the provider for an embed URL: the named one (which must understand the URL), otherwise
+// the first non-explicit provider that matches. Returns { provider, id } or null.
+function findEmbedProvider(url, providerName) {
+  if (typeof url !== 'string' || !/^https?:\/\//.test(url)) return null;
+  const names = providerName ? [providerName] : Object.keys(EMBED_PROVIDERS).filter(name => !EMBED_PROVIDERS[name].explicit);
+  for (const name of names) {
+    const provider = EMBED_PROVIDERS[name];
+    const id = provider && provider.match(url);
+    if (id) return { provider: name, id };
+  }
+  return null;
 }
 
-// Helper function to get YouTube thumbnail URL
-function getYouTubeThumbnailUrl(videoId) {
-  // YouTube provides thumbnails at: https://img.youtube.com/vi/VIDEO_ID/maxresdefault.jpg
-  // or https://img.youtube.com/vi/VIDEO_ID/hqdefault.jpg (smaller but more reliable)
-  return `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`;
+// Errors that mean there's no network at all, rather than one server being unreachable
+const OFFLINE_ERROR_CODES = ['ENETUNREACH', 'ENETDOWN'];
+
+// Name lookup failures only concern one host (a mistyped domain, a service that's gone), unless
+// this many different hosts fail to resolve - then it's the network
+const LOOKUP_ERROR_CODES = ['ENOTFOUND', 'EAI_AGAIN'];
+const OFFLINE_LOOKUP_HOSTS = 3;
+
+// Hosts whose names failed to resolve, and the flag set once the network looks unavailable
+const unresolvedHosts = new Set();
+let networkUnavailable = false;
+
+// Stop downloading for the rest of the build
+function markNetworkUnavailable(code) {
+  if (!networkUnavailable) {
+    console.warn(`    ⚠️  Network unavailable (${code}), skipping downloads for the rest of the build`);
+  }
+  networkUnavailable = true;
 }
 
-// Helper function to download a file from URL
-function downloadFile(url, destPath) {
+// GET a URL, following up to download.maxRedirects redirects. Resolves with the (unread) 200
+// response; anything else rejects, with error.retryable set for failures worth another attempt.
+function httpGet(url, redirectsLeft = DOWNLOAD_CONFIG.maxRedirects) {
   return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(destPath);
-    https.get(url, (response) => {
-      if (response.statusCode === 200) {
-        response.pipe(file);
-        file.on('finish', () => {
-          file.close();
-          resolve();
-        });
-      } else if (response.statusCode === 301 || response.statusCode === 302) {
-        // Handle redirects
-        file.close();
-        fs.unlinkSync(destPath);
-        downloadFile(response.headers.location, destPath).then(resolve).catch(reject);
+    if (networkUnavailable) {
+      reject(new Error('network unavailable'));
+      return;
+    }
+    
+    const client = url.startsWith('http:') ? http : https;
+    let receiving = null;
+    const request = client.get(url, { headers: { 'User-Agent': 'portfolio-build' }, timeout: DOWNLOAD_CONFIG.timeout }, (response) => {
+      const { statusCode } = response;
+      if ([301, 302, 303, 307, 308].includes(statusCode) && response.headers.location) {
+        response.resume();
+        if (redirectsLeft <= 0) {
+          reject(new Error(`Too many redirects (more than ${DOWNLOAD_CONFIG.maxRedirects})`));
+          return;
+        }
+        httpGet(new URL(response.headers.location, url).href, redirectsLeft - 1).then(resolve, reject);
+      } else if (statusCode === 200) {
+        receiving = response;
+        resolve(response);
       } else {
-        file.close();
-        fs.unlinkSync(destPath);
-        reject(new Error(`Failed to download: ${response.statusCode}`));
+        response.resume();
+        const error = new Error(`Failed to download: ${statusCode}`);
+        error.retryable = statusCode === 408 || statusCode === 429 || statusCode >= 500;
+        reject(error);
       }
-    }).on('error', (err) => {
-      file.close();
-      if (fs.existsSync(destPath)) {
-        fs.unlinkSync(destPath);
+    });
+    
+    request.on('timeout', () => {
+      const error = new Error(`No response after ${DOWNLOAD_CONFIG.timeout}ms`);
+      error.retryable = true;
+      // Once the body is being read, the error belongs to the response stream
+      (receiving || request).destroy(error);
+    });
+    request.on('error', (error) => {
+      if (OFFLINE_ERROR_CODES.includes(error.code)) {
+        markNetworkUnavailable(error.code);
+      } else if (LOOKUP_ERROR_CODES.includes(error.code)) {
+        // EAI_AGAIN is a temporary lookup failure; ENOTFOUND won't change in a few seconds
+        error.retryable = error.code === 'EAI_AGAIN';
+        unresolvedHosts.add(new URL(url).hostname);
+        if (unresolvedHosts.size >= OFFLINE_LOOKUP_HOSTS) markNetworkUnavailable(error.code);
+      } else if (error.retryable === undefined) {
+        // Refused or dropped connections
+        error.retryable = true;
       }
-      reject(err);
+      reject(error);
     });
   });
 }
 
-// Helper function to download YouTube thumbnail with fallback
-async function downloadYouTubeThumbnail(videoId, destPath) {
-  // Try maxresdefault first (highest quality), fall back to hqdefault if it fails
-  const maxResUrl = `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`;
-  const hqUrl = `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`;
-  
-  try {
-    await downloadFile(maxResUrl, destPath);
-    return;
-  } catch (error) {
-    // If maxresdefault fails (404), try hqdefault
+// Run a request, trying again (after a short, growing pause) up to download.retries times
+async function withRetries(task) {
+  for (let attempt = 0; ; attempt++) {
     try {
-      await downloadFile(hqUrl, destPath);
-      return;
-    } catch (fallbackError) {
-      throw new Error(`Failed to download YouTube thumbnail: ${fallbackError.message}`);
+      return await task();
+    } catch (error) {
+      if (!error.retryable || attempt >= DOWNLOAD_CONFIG.retries) throw error;
+      await new Promise(resolve => setTimeout(resolve, 500 * 2 ** attempt));
     }
   }
 }
 
+// Helper function to fetch a URL's body as text
+function fetchText(url) {
+  return withRetries(() => httpGet(url).then(response => new Promise((resolve, reject) => {
+    let body = '';
+    response.setEncoding('utf8');
+    response.on('data', chunk => { body += chunk; });
+    response.on('end', () => resolve(body));
+    response.on('error', (error) => {
+      error.retryable = true;
+      reject(error);
+    });
+  })));
+}
+
+// Helper function to fetch and parse a JSON URL
+async function fetchJson(url) {
+  return JSON.parse(await fetchText(url));
+}
+
+// Helper function to download a file from URL. The response must have the expected content type
+// (so an error page never gets saved as a thumbnail), and the file only appears once complete.
+function downloadFile(url, destPath, contentType = 'image/') {
+  return withRetries(() => httpGet(url).then(response => new Promise((resolve, reject) => {
+    const type = response.headers['content-type'] || '';
+    if (!type.startsWith(contentType)) {
+      response.resume();
+      reject(new Error(`Expected ${contentType}* but got ${type || 'no content type'}`));
+      return;
+    }
+    
+    const partialPath = `${destPath}.part`;
+    const file = fs.createWriteStream(partialPath);
+    function fail(error) {
+      file.destroy();
+      fs.rmSync(partialPath, { force: true });
+      reject(error);
+    }
+    response.on('error', (error) => {
+      error.retryable = true;
+      fail(error);
+    });
+    file.on('error', fail);
+    file.on('finish', () => {
+      fs.renameSync(partialPath, destPath);
+      resolve();
+    });
+    response.pipe(file);
+  })));
+}
+
 // Generate favicon HTML links
 function generateFaviconLinks(basePath = '') {
   // Prioritize SVG (usually transparent) over PNG, then ICO
@@ -523,6 +2087,129 @@ function generateFaviconLinks(basePath = '') {
   return faviconLinks;
 }
 
+// Find a template by name: site templates in TEMPLATES_DIR override the built-in defaults
+function resolveTemplate(name) {
+  if (!name) return null;
+  const fileName = name.endsWith('.ejs') ? name : `${name}.ejs`;
+  for (const dir of [TEMPLATES_DIR, DEFAULT_TEMPLATES_DIR]) {
+    const templatePath = path.join(dir, fileName);
+    if (fs.existsSync(templatePath)) return templatePath;
+  }
+  return null;
+}
+
+// Find a static file that ships with the templates (e.g. assets/carousel.js), site override first
+function resolveTemplateAsset(fileName) {
+  for (const dir of [TEMPLATES_DIR, DEFAULT_TEMPLATES_DIR]) {
+    const assetPath = path.join(dir, fileName);
+    if (fs.existsSync(assetPath)) return assetPath;
+  }
+  return null;
+}
+
+// Render the first template found from a list of names (most specific first).
+// A template's frontmatter is available as `page`; `layout:` wraps the result in
+// layouts/<name>, which receives the rendered page as `body`.
+function renderTemplate(names, locals, page = {}) {
+  const templatePath = names.map(resolveTemplate).find(Boolean);
+  if (!templatePath) {
+    throw new Error(`No template found (looked for: ${names.filter(Boolean).join(', ')})`);
+  }
+  
+  const { data, content } = matter(fs.readFileSync(templatePath, 'utf-8'));
+  const pageData = { ...data, ...page };
+  const html = ejs.render(content, { ...locals, page: pageData, encodePath }, {
+    filename: templatePath,
+    // Partials go through the same lookup, so a site can override a single partial
+    includer: (includePath, parsedPath) => ({ filename: resolveTemplate(includePath) || parsedPath })
+  });
+  
+  if (!data.layout) return html;
+  return renderTemplate([`layouts/${data.layout}`], { ...locals, body: html }, pageData);
+}
+
+// Escape text for HTML (and SVG) markup, in element content and quoted attributes alike
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Percent-encode each segment of a relative URL path, so folder and file names with spaces,
+// colons, #, ? or commas (which would also split a srcset) link correctly
+function encodePath(urlPath) {
+  return urlPath.split('/').map(encodeURIComponent).join('/');
+}
+
+// Named character references a browser would decode inside a URL's scheme (java&colon;...)
+const URL_SCHEME_ENTITIES = { colon: ':', tab: '\t', newline: '\n', amp: '&' };
+
+// Whether a Markdown link or image URL is safe to publish: relative, or a web, mail or phone link.
+// Checked as the browser will read it - character references decoded, then whitespace and control
+// characters removed - and anything before a colon in the first path segment counts as a scheme
+// (so an undecoded reference there is refused rather than taken for a relative link)
+function isSafeUrl(url) {
+  const decoded = String(url)
+    .replace(/&#(x[0-9a-f]+|\d+);?/gi, (match, code) => {
+      const point = code[0].toLowerCase() === 'x' ? parseInt(code.slice(1), 16) : parseInt(code, 10);
+      return point <= 0x10FFFF ? String.fromCodePoint(point) : '';
+    })
+    .replace(/&([a-z]+);/gi, (match, name) => URL_SCHEME_ENTITIES[name.toLowerCase()] ?? match)
+    .replace(/[\u0000-\u0020\u007F]/g, '');
+  const scheme = decoded.match(/^([^/?#]*):/);
+  return !scheme || ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase());
+}
+
+// Markdown renderer for markdown.sanitize: raw HTML becomes visible text, and links and images
+// with other URL schemes (javascript:, data:...) keep only their text
+const sanitizingMarked = new Marked({
+  renderer: {
+    html(token) {
+      return escapeHtml(token.text);
+    },
+    link(token) {
+      return isSafeUrl(token.href) ? false : this.parser.parseInline(token.tokens);
+    },
+    image(token) {
+      return isSafeUrl(token.href) ? false : escapeHtml(token.text);
+    }
+  }
+});
+
+// Render Markdown to HTML (statements and about.md), sanitized when markdown.sanitize is on
+function renderMarkdown(markdown) {
+  return MARKDOWN_CONFIG.sanitize ? sanitizingMarked.parse(markdown) : marked(markdown);
+}
+
+// Generate a responsive <picture> for an optimized image. Without rendition info (e.g. the
+// image failed to optimize) this falls back to a plain <img> pointing at fallbackSrc. Paths and
+// alt text are passed as-is and encoded/escaped here.
+function generatePictureHtml(basePath, imageName, info, options) {
+  const { sizes, fallbackSrc, attributes = '' } = options;
+  const alt = escapeHtml(options.alt);
+  if (!info) {
+    return `<img src="${escapeHtml(encodePath(fallbackSrc))}" alt="${alt}"${attributes}>`;
+  }
+  
+  const extension = format => (format === 'jpeg' ? 'jpg' : format);
+  const url = (width, format) => escapeHtml(encodePath(`${basePath}${imageName}-${width}.${extension(format)}`));
+  const srcset = format => info.widths
+    .map(width => `${url(width, format)} ${width}w`)
+    .join(', ');
+  
+  const fallbackFormat = info.formats[info.formats.length - 1];
+  const largestWidth = info.widths[info.widths.length - 1];
+  const sources = info.formats.slice(0, -1).map(format =>
+    `<source type="image/${format}" srcset="${srcset(format)}" sizes="${sizes}">`
+  ).join('');
+  const dimensions = info.height ? ` width="${info.width}" height="${info.height}"` : '';
+  
+  return `<picture>${sources}<img src="${url(largestWidth, fallbackFormat)}" srcset="${srcset(fallbackFormat)}" sizes="${sizes}"${dimensions} alt="${alt}"${attributes}></picture>`;
+}
+
 // Copy assets (GIFs, favicons, etc.) to output
 function copyAssets() {
   const destAssets = path.join(OUTPUT_DIR, 'assets');
@@ -534,12 +2221,12 @@ function copyAssets() {
       const sourcePath = path.join(ASSETS_DIR, asset);
       const destPath = path.join(destAssets, asset);
       if (fs.statSync(sourcePath).isFile()) {
-        fs.copyFileSync(sourcePath, destPath);
+        copyOutput(sourcePath, destPath);
         
         // Also copy favicon files to root for better browser compatibility
         if (asset.startsWith('favicon.')) {
           const rootFaviconPath = path.join(OUTPUT_DIR, asset);
-          fs.copyFileSync(sourcePath, rootFaviconPath);
+          copyOutput(sourcePath, rootFaviconPath);
         }
       }
     });
@@ -554,444 +2241,243 @@ function copyAssets() {
       // Only create fallbacks from PNG if no SVG exists
       const rootIcoPath = path.join(OUTPUT_DIR, 'favicon.ico');
       const rootJpgPath = path.join(OUTPUT_DIR, 'favicon.jpg');
-      fs.copyFileSync(pngPath, rootIcoPath);
-      fs.copyFileSync(pngPath, rootJpgPath);
+      copyOutput(pngPath, rootIcoPath);
+      copyOutput(pngPath, rootJpgPath);
     }
   }
 }
 
-// Generate project page HTML
-function generateProjectPage(project) {
-  // Helper function to get Vimeo embed URL
-  function getVimeoEmbedUrl(url) {
-    const id = getVimeoId(url);
-    return id ? `https://player.vimeo.com/video/${id}` : null;
-  }
-  
-  // Collect all media items for carousel
-  const carouselItems = [];
-  
-  // Add images
-  project.images.forEach((img) => {
-    const imageName = path.parse(img).name;
-    carouselItems.push({
-      type: 'image',
-      src: `images/${imageName}.webp`,
-      alt: project.title
-    });
-  });
+// Write the carousel script and styles shared by every project page. The content hash in the
+// filename lets browsers cache them for good; a changed file gets a new name.
+function writeCarouselAssets() {
+  const destAssets = path.join(OUTPUT_DIR, 'assets');
+  fs.mkdirSync(destAssets, { recursive: true });
   
-  // Add PDFs
-  if (project.pdfs && project.pdfs.length > 0) {
-    project.pdfs.forEach((pdf) => {
-      carouselItems.push({
-        type: 'pdf',
-        src: `images/${pdf}`
-      });
-    });
-  }
+  const urls = {};
+  ['js', 'css'].forEach(extension => {
+    const sourcePath = resolveTemplateAsset(`assets/carousel.${extension}`);
+    const contents = fs.readFileSync(sourcePath);
+    const hash = crypto.createHash('sha256').update(contents).digest('hex').slice(0, 10);
+    const fileName = `carousel.${hash}.${extension}`;
+    writeOutput(path.join(destAssets, fileName), contents);
+    urls[extension] = `assets/${fileName}`;
+  });
   
-  // Add Vimeo videos
-  if (project.vimeos && project.vimeos.length > 0) {
-    project.vimeos.forEach((vimeoUrl) => {
-      const embedUrl = getVimeoEmbedUrl(vimeoUrl);
-      if (embedUrl) {
-        carouselItems.push({
-          type: 'vimeo',
-          src: embedUrl
-        });
-      }
-    });
+  return { script: urls.js, stylesheet: urls.css };
+}
+
+// The site's address without a trailing slash (seo.url, or https:// plus the CNAME domain), or ''
+// when neither is set
+let siteUrlValue = null;
+function siteUrl() {
+  if (siteUrlValue === null) {
+    const domain = fs.existsSync('./CNAME') ? fs.readFileSync('./CNAME', 'utf-8').trim().split(/\s+/)[0] : '';
+    siteUrlValue = (SEO_CONFIG.url || (domain ? `https://${domain}` : '')).replace(/\/+$/, '');
   }
+  return siteUrlValue;
+}
+
+// Absolute URL for an already-encoded path from the site root, or null without a site URL
+function absoluteUrl(urlPath) {
+  return siteUrl() ? `${siteUrl()}/${urlPath}` : null;
+}
+
+// Shorten text to a search-result-sized description, cut at a word with an ellipsis
+function shortenText(text, maxLength = 160) {
+  if (text.length <= maxLength) return text;
+  return `${text.slice(0, maxLength - 1).replace(/[\s,;:]+\S*$/, '')}…`;
+}
+
+// Plain text of the first paragraph of rendered Markdown, shortened to a description
+function summarize(html) {
+  const paragraph = html && html.match(/<p>([\s\S]*?)<\/p>/);
+  if (!paragraph) return '';
+  return shortenText(decodeHtmlEntities(paragraph[1].replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim());
+}
+
+// Name used for the site's author (the Person in structured data)
+function authorName() {
+  return SEO_CONFIG.author || HOMEPAGE_CONFIG.title;
+}
+
+// Description of the site as a whole: seo.description, else the start of about.md
+function siteDescription() {
+  if (SEO_CONFIG.description) return SEO_CONFIG.description;
+  if (!fs.existsSync('./about.md')) return '';
+  return summarize(renderMarkdown(matter(fs.readFileSync('./about.md', 'utf-8')).content));
+}
+
+// Image for a project's link previews: the largest card rendition (in a format every site that
+// unfurls links can show), else the card picture's own file. Returns { path, width, height, alt }
+// with the path from the site root, or null when the project has no picture.
+function projectShareImage(project) {
+  const picture = cardPicture(project);
+  if (!picture) return null;
   
-  // Add YouTube videos
-  if (project.youtubes && project.youtubes.length > 0) {
-    project.youtubes.forEach((youtubeUrl) => {
-      const embedUrl = getYouTubeEmbedUrl(youtubeUrl);
-      if (embedUrl) {
-        carouselItems.push({
-          type: 'youtube',
-          src: embedUrl
-        });
-      }
-    });
+  const base = `${encodePath(project.type)}/${encodePath(project.slug)}/images/`;
+  const info = project.card || picture.info;
+  if (!info) {
+    return { path: `${base}${encodePath(picture.file)}`, width: null, height: null, alt: project.title };
   }
+  const format = ['jpeg', 'png', 'webp'].find(candidate => info.formats.includes(candidate)) || info.formats[info.formats.length - 1];
+  const name = project.card ? project.card.name : picture.name;
+  return {
+    path: `${base}${encodePath(`${name}-${info.width}.${format === 'jpeg' ? 'jpg' : format}`)}`,
+    width: info.width,
+    height: info.height,
+    alt: project.title
+  };
+}
+
+// The author as a schema.org Person
+function authorJsonLd() {
+  return { '@type': 'Person', name: authorName(), ...(siteUrl() ? { url: `${siteUrl()}/` } : {}) };
+}
+
+// Everything partials/head.ejs needs for a page's search and link preview tags: its title,
+// description, canonical URL, preview image, JSON-LD and feed links. pagePath is encoded, from the site root.
+function pageMeta({ title, description, pagePath, type = 'website', image = null, jsonLd = null, feeds = feedLinks() }) {
+  const url = absoluteUrl(pagePath);
+  const imageUrl = image && absoluteUrl(image.path);
+  return {
+    title,
+    description: description || '',
+    url,
+    type,
+    siteName: HOMEPAGE_CONFIG.title,
+    image: imageUrl ? { url: imageUrl, width: image.width, height: image.height, alt: image.alt } : null,
+    twitter: SEO_CONFIG.twitter ? `@${SEO_CONFIG.twitter.replace(/^@/, '')}` : '',
+    feeds,
+    jsonLd: jsonLd
+      ? JSON.stringify({ '@context': 'https://schema.org', ...jsonLd, ...(url ? { url } : {}) }).replace(/</g, '\\u003c')
+      : null
+  };
+}
+
+// Generate project page HTML
+function generateProjectPage(project, carouselAssets, taxonomies) {
+  // Embeds without a thumbnail of their own show the `thumbnail:` image, when there is one
+  const fallbackPoster = project.fallbackThumbnail && !project.fallbackThumbnail.generated
+    ? `images/${encodePath(project.fallbackThumbnail.file)}`
+    : null;
   
-  // Generate carousel slides HTML
-  const carouselSlides = carouselItems.map((item, index) => {
+  // One media list, in the project's media order (see buildProjectMedia), shared by the carousel
+  // and the popup so slide N and popup item N are always the same thing. Its URLs are encoded;
+  // text is escaped by the templates.
+  const media = project.media.map(item => {
     if (item.type === 'image') {
-      // Find the index in allMedia for popup
-      const popupIndex = project.images.findIndex(img => {
-        const imageName = path.parse(img).name;
-        return item.src === `images/${imageName}.webp`;
-      });
-      return `        <div class="carousel-slide" data-index="${index}">
-          <img src="${item.src}" alt="${item.alt}" onclick="openImagePopup('${item.src}', ${popupIndex >= 0 ? popupIndex : 0})" loading="lazy">
-        </div>`;
-    } else if (item.type === 'pdf') {
-      return `        <div class="carousel-slide" data-index="${index}">
-          <iframe src="${item.src}" type="application/pdf" class="carousel-pdf" loading="lazy"></iframe>
-        </div>`;
-    } else if (item.type === 'vimeo') {
-      return `        <div class="carousel-slide" data-index="${index}">
-          <iframe src="${item.src}" class="carousel-vimeo" frameborder="0" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen loading="lazy"></iframe>
-        </div>`;
-    } else if (item.type === 'youtube') {
-      return `        <div class="carousel-slide" data-index="${index}">
-          <iframe src="${item.src}" class="carousel-vimeo" frameborder="0" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen loading="lazy"></iframe>
-        </div>`;
-    }
-    return '';
-  }).filter(html => html !== '').join('\n');
-  
-  // Generate dot indicators
-  const carouselDots = carouselItems.map((_, index) => {
-    return `        <span class="carousel-dot ${index === 0 ? 'active' : ''}" onclick="carouselGoTo(${index})"></span>`;
-  }).join('\n');
-  
-  // Generate all media for popup navigation (images and PDFs only, videos excluded)
-  const allMedia = [
-    ...project.images.map(img => {
-      const imageName = path.parse(img).name;
-      return { type: 'image', src: `images/${imageName}.webp` };
-    }),
-    ...(project.pdfs || []).map(pdf => {
-      return { type: 'pdf', src: `images/${pdf}` };
-    })
-  ];
-  
-  const faviconLinks = generateFaviconLinks('../../');
-  const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${project.title} - Portfolio</title>
-${faviconLinks}  <link rel="stylesheet" href="../../style.css">
-  <style>
-    /* Carousel Styles */
-    .carousel-container {
-      position: relative;
-      width: 100%;
-      margin-bottom: 30px;
-    }
-    
-    .carousel-wrapper {
-      position: relative;
-      width: 100%;
-      overflow: hidden;
-    }
-    
-    .carousel-track {
-      display: flex;
-      transition: transform 0.5s ease-in-out;
-      will-change: transform;
-      width: 100%;
-    }
-    
-    .carousel-slide {
-      width: 100%;
-      min-width: 100%;
-      max-width: 100%;
-      flex-shrink: 0;
-      flex-grow: 0;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      height: calc(100vh - 200px);
-      min-height: 500px;
-      box-sizing: border-box;
-    }
-    
-    .carousel-slide img {
-      height: 100%;
-      width: auto;
-      max-width: 100%;
-      object-fit: contain;
-      object-position: center;
-      display: block;
-      cursor: pointer;
-      margin: 0 auto;
-    }
-    
-    .carousel-pdf {
-      width: 100%;
-      height: 100%;
-      display: block;
-      border: none;
-    }
-    
-    .carousel-vimeo {
-      width: 100%;
-      height: 100%;
-      display: block;
-      padding: 10px;
-      box-sizing: border-box;
-      border: none;
-    }
-    
-    .carousel-controls {
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      gap: 20px;
-      margin-top: 20px;
-      width: 100%;
-      flex-wrap: wrap;
-    }
-    
-    .carousel-arrow {
-      background-color: #F0F0F0;
-      border: 3px outset #CCCCCC;
-      font-size: 28pt;
-      font-weight: bold;
-      width: 70px;
-      height: 50px;
-      cursor: pointer;
-      color: #000080;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-    }
-    
-    .carousel-arrow:hover {
-      background-color: #E0E0E0;
-      border: 3px inset #CCCCCC;
-      color: #FF0000;
-    }
-    
-    .carousel-dots {
-      display: flex;
-      justify-content: center;
-      gap: 10px;
-      margin-top: 0;
-    }
-    
-    .carousel-dot {
-      width: 12px;
-      height: 12px;
-      border-radius: 50%;
-      background-color: #CCCCCC;
-      border: 2px outset #CCCCCC;
-      cursor: pointer;
-      transition: background-color 0.3s;
-    }
-    
-    .carousel-dot:hover {
-      background-color: #999999;
-    }
-    
-    .carousel-dot.active {
-      background-color: #000080;
-      border: 2px inset #CCCCCC;
-    }
-  </style>
-  <script>
-    const allMedia = ${JSON.stringify(allMedia)};
-    const carouselItems = ${JSON.stringify(carouselItems)};
-    let currentCarouselIndex = 0;
-    
-    function updateCarousel() {
-      const track = document.querySelector('.carousel-track');
-      const dots = document.querySelectorAll('.carousel-dot');
-      const totalSlides = carouselItems.length;
-      
-      if (!track || totalSlides === 0) return;
-      
-      // Update track position - ensure full 100% translation per slide
-      const translateX = currentCarouselIndex * 100;
-      track.style.transform = \`translateX(-\${translateX}%)\`;
-      
-      // Update dots
-      dots.forEach((dot, index) => {
-        if (index === currentCarouselIndex) {
-          dot.classList.add('active');
-        } else {
-          dot.classList.remove('active');
-        }
-      });
+      const imageName = path.parse(item.file).name;
+      return { type: 'image', src: `images/${encodePath(imageName)}.webp`, file: item.file, alt: item.alt, caption: item.caption };
     }
-    
-    function carouselNext() {
-      if (carouselItems.length === 0) return;
-      currentCarouselIndex = (currentCarouselIndex + 1) % carouselItems.length;
-      updateCarousel();
+    if (item.type === 'pdf') {
+      return { type: 'pdf', src: `images/${encodePath(item.file)}`, file: item.file, caption: item.caption };
     }
-    
-    function carouselPrev() {
-      if (carouselItems.length === 0) return;
-      currentCarouselIndex = (currentCarouselIndex - 1 + carouselItems.length) % carouselItems.length;
-      updateCarousel();
+    if (item.type === 'video') {
+      const info = project.renditions[item.file];
+      if (!info) return null;
+      const sources = info.sources.map(source => ({ src: `images/${encodePath(source.file)}`, type: source.type }));
+      const poster = info.poster ? `images/${encodePath(path.parse(item.file).name)}-poster.webp` : null;
+      return { type: 'video', src: sources[0].src, sources, poster, file: item.file, alt: item.alt, caption: item.caption };
     }
+    const embed = project.embeds.find(candidate => candidate.url === item.file);
+    const info = embed && project.renditions[embed.url];
+    if (!info) return null;
     
-    function carouselGoTo(index) {
-      if (index >= 0 && index < carouselItems.length) {
-        currentCarouselIndex = index;
-        updateCarousel();
-      }
+    // Embeds start as their downloaded thumbnail (when there is one) and only load the player when
+    // clicked, so viewing the page doesn't contact the provider
+    const provider = EMBED_PROVIDERS[embed.provider];
+    const autoplaySrc = provider.autoplay
+      ? `${info.embedUrl}${info.embedUrl.includes('?') ? '&' : '?'}${provider.autoplay}`
+      : info.embedUrl;
+    const customPartial = `partials/embed-${embed.provider}`;
+    return {
+      type: 'embed',
+      provider: embed.provider,
+      kind: provider.kind,
+      label: provider.label,
+      title: embed.title,
+      src: info.embedUrl,
+      autoplaySrc,
+      url: embed.url,
+      poster: info.thumbnail ? `images/${encodePath(info.thumbnail)}` : fallbackPoster,
+      caption: item.caption,
+      partial: resolveTemplate(customPartial) ? customPartial : 'partials/embed'
+    };
+  }).filter(Boolean);
+  
+  // Untitled embeds are named by provider and slide number (for the player's iframe title and labels)
+  media.forEach((item, index) => {
+    if (item.type === 'embed' && !item.title) {
+      item.title = `${item.label} ${item.kind === 'page' ? 'embed' : item.kind} ${index + 1}`;
     }
+  });
+  
+  // Slide data for the templates (image slides get their responsive <picture> markup; the
+  // template wraps it in a button that opens the popup)
+  const slides = media.map(item => {
+    if (item.type !== 'image') return item;
     
-    // Keyboard navigation for carousel
-    document.addEventListener('keydown', function(e) {
-      const popup = document.getElementById('image-popup');
-      if (popup && popup.style.display === 'block') {
-        // If popup is open, handle popup navigation
-        if (e.key === 'Escape') closePopup();
-        if (e.key === 'ArrowRight') nextImage();
-        if (e.key === 'ArrowLeft') prevImage();
-      } else {
-        // Otherwise, handle carousel navigation
-        if (e.key === 'ArrowLeft') carouselPrev();
-        if (e.key === 'ArrowRight') carouselNext();
-      }
+    const imageName = path.parse(item.file).name;
+    const picture = generatePictureHtml('images/', imageName, project.renditions[item.file], {
+      alt: item.alt,
+      sizes: IMAGE_CONFIG.sizes.project,
+      fallbackSrc: `images/${imageName}.webp`,
+      attributes: ' loading="lazy"'
     });
-    
-    function openImagePopup(src, index) {
-      const popup = document.getElementById('image-popup');
-      const popupContent = document.getElementById('popup-content');
-      const popupImg = document.getElementById('popup-image');
-      const popupPdf = document.getElementById('popup-pdf');
-      const prevBtn = document.getElementById('popup-prev');
-      const nextBtn = document.getElementById('popup-next');
-      const closeBtn = document.getElementById('popup-close');
-      
-      currentIndex = index;
-      updatePopup();
-      popup.style.display = 'block';
-    }
-    
-    let currentIndex = 0;
-    
-    function updatePopup() {
-      const media = allMedia[currentIndex];
-      const popupImg = document.getElementById('popup-image');
-      const popupPdf = document.getElementById('popup-pdf');
-      const popupVimeo = document.getElementById('popup-vimeo');
-      const prevBtn = document.getElementById('popup-prev');
-      const nextBtn = document.getElementById('popup-next');
-      
-      // Hide all media types first
-      popupImg.style.display = 'none';
-      popupPdf.style.display = 'none';
-      popupVimeo.style.display = 'none';
-      
-      if (media.type === 'image') {
-        popupImg.src = media.src;
-        popupImg.style.display = 'block';
-      } else if (media.type === 'pdf') {
-        popupPdf.src = media.src;
-        popupPdf.style.display = 'block';
-      } else if (media.type === 'vimeo') {
-        popupVimeo.src = media.src;
-        popupVimeo.style.display = 'block';
-      }
-      
-      prevBtn.style.display = currentIndex > 0 ? 'block' : 'none';
-      nextBtn.style.display = currentIndex < allMedia.length - 1 ? 'block' : 'none';
-    }
-    
-    function closePopup() {
-      document.getElementById('image-popup').style.display = 'none';
-    }
-    
-    function nextImage() {
-      if (currentIndex < allMedia.length - 1) {
-        currentIndex++;
-        updatePopup();
-      }
-    }
-    
-    function prevImage() {
-      if (currentIndex > 0) {
-        currentIndex--;
-        updatePopup();
-      }
+    return { ...item, picture };
+  });
+  
+  // Per-project template (frontmatter `template:`), then per-type, then the default project template
+  if (project.template && !resolveTemplate(project.template)) {
+    console.warn(`    ⚠️  Template "${project.template}" not found for ${project.name}, using default`);
+  }
+  // Search and link preview tags
+  const description = project.description || summarize(project.statement);
+  const shareImage = projectShareImage(project);
+  const meta = pageMeta({
+    title: project.title,
+    description,
+    pagePath: `${encodePath(project.type)}/${encodePath(project.slug)}/`,
+    type: 'article',
+    image: shareImage,
+    jsonLd: {
+      '@type': 'CreativeWork',
+      name: project.title,
+      ...(description ? { description } : {}),
+      ...(shareImage && absoluteUrl(shareImage.path) ? { image: absoluteUrl(shareImage.path) } : {}),
+      ...(project.date ? { dateCreated: String(project.date) } : {}),
+      ...(project.terms.materials.length > 0 ? { material: project.terms.materials.join(', ') } : {}),
+      genre: project.type,
+      author: authorJsonLd()
     }
-    
-    // Keyboard navigation
-    document.addEventListener('keydown', function(e) {
-      const popup = document.getElementById('image-popup');
-      if (popup.style.display === 'block') {
-        if (e.key === 'Escape') closePopup();
-        if (e.key === 'ArrowRight') nextImage();
-        if (e.key === 'ArrowLeft') prevImage();
-      }
-    });
-  </script>
-</head>
-<body>
-  <div class="page-container project-page">
-    <nav>
-      <a href="../">← Back to ${project.type.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('-')}</a>
-    </nav>
-    
-    <main class="project">
-      <header>
-        <h1>${project.title}</h1>
-        <div class="meta">
-          <span class="type">${project.type}</span>
-          <span class="date">${project.date}</span>
-          ${project.materials && project.materials.trim() ? `<span class="materials">${project.materials}</span>` : ''}
-        </div>
-      </header>
-      
-      <div class="gallery">
-        ${carouselItems.length > 0 ? (
-          carouselItems.length === 1 ? 
-            // Single item - no carousel needed
-            carouselSlides
-          :
-            // Multiple items - show carousel
-            `<div class="carousel-container">
-        <div class="carousel-wrapper">
-          <div class="carousel-track" style="transform: translateX(0%);">
-${carouselSlides}
-          </div>
-        </div>
-        <div class="carousel-controls">
-          <button class="carousel-arrow carousel-prev" onclick="carouselPrev()">‹</button>
-${carouselDots}
-          <button class="carousel-arrow carousel-next" onclick="carouselNext()">›</button>
-        </div>
-      </div>`
-        ) : '<p>No media available</p>'}
-      </div>
-      
-      ${project.statement && project.statement.trim() ? `<div class="statement">
-        ${project.statement}
-      </div>` : ''}
-    </main>
-  </div>
-  
-  <!-- Image Popup -->
-  <div id="image-popup" class="image-popup" onclick="if(event.target.id === 'image-popup') closePopup()">
-    <div class="popup-content">
-      <button id="popup-close" class="popup-close" onclick="closePopup()">✕</button>
-      <button id="popup-prev" class="popup-nav popup-prev" onclick="prevImage()">‹</button>
-      <button id="popup-next" class="popup-nav popup-next" onclick="nextImage()">›</button>
-      <img id="popup-image" class="popup-media" alt="Enlarged view">
-      <iframe id="popup-pdf" class="popup-media popup-pdf" style="display:none;"></iframe>
-      <iframe id="popup-vimeo" class="popup-media popup-vimeo" style="display:none;" frameborder="0" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen></iframe>
-    </div>
-  </div>
-</body>
-</html>`;
+  });
+  
+  const html = renderTemplate([project.template, `project-${project.type}`, 'project'], {
+    title: `${project.title} - Portfolio`,
+    meta,
+    rootPath: '../../',
+    faviconLinks: generateFaviconLinks('../../'),
+    backHref: '../',
+    backLabel: `← Back to ${project.type.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('-')}`,
+    project,
+    // Linked to their tag and material pages from the meta block
+    tags: termLinks(project, 'tags', taxonomies),
+    materials: termLinks(project, 'materials', taxonomies),
+    slides,
+    carouselAssets,
+    // carousel.js only needs what the popup displays
+    media: media.map(({ type, kind, title, src, sources, poster, alt, caption }) => ({ type, kind, title, src, sources, poster, alt, caption }))
+  });
 
   const projectDir = path.join(OUTPUT_DIR, project.type, project.slug);
   fs.mkdirSync(projectDir, { recursive: true });
-  fs.writeFileSync(path.join(projectDir, 'index.html'), html);
+  writeOutput(path.join(projectDir, 'index.html'), html);
 }
 
 // Generate index page HTML
 function generateIndexPage(projects) {
-  // Get unique project types
-  const types = [...new Set(projects.map(p => p.type))].sort();
-  
-  // Generate type links list
-  let typeLinks = '';
-  types.forEach(type => {
-    typeLinks += `        <li><a href="${type}/">${type.toUpperCase()}</a></li>\n`;
-  });
+  // Get unique project types (a type whose projects are all hidden isn't linked)
+  const types = [...new Set(projects.filter(p => !p.hidden).map(p => p.type))].sort();
   
   // Check if GIFs exist in assets folder
   const skeletonGifPath = path.join(ASSETS_DIR, HOMEPAGE_CONFIG.skeletonGifName);
@@ -999,119 +2485,179 @@ function generateIndexPage(projects) {
   const hasSkeletonGif = fs.existsSync(skeletonGifPath);
   const hasFlameGif = fs.existsSync(flameGifPath);
   
-  let skeletonLeft = '';
-  let skeletonRight = '';
-  if (hasSkeletonGif) {
-    skeletonLeft = `      <img src="assets/${HOMEPAGE_CONFIG.skeletonGifName}" alt="Skeleton" class="skeleton-art skeleton-left">`;
-    skeletonRight = `      <img src="assets/${HOMEPAGE_CONFIG.skeletonGifName}" alt="Skeleton" class="skeleton-art skeleton-right">`;
-  }
-  
-  let flameArt = '';
-  if (hasFlameGif) {
-    flameArt = `    <img src="assets/${HOMEPAGE_CONFIG.flameGifName}" alt="Flame" class="flame-art">`;
-  }
-  
-  const faviconLinks = generateFaviconLinks();
-  const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${HOMEPAGE_CONFIG.title}</title>
-${faviconLinks}  <link rel="stylesheet" href="style.css">
-</head>
-<body>
-  <div class="homepage-container">
-    <div class="header-with-skeletons">
-${skeletonLeft}
-      <header class="site-header">
-        <h1>${HOMEPAGE_CONFIG.title}</h1>
-        <p class="flame-text">${HOMEPAGE_CONFIG.subtitle}</p>
-      </header>
-${skeletonRight}
-    </div>
-    
-    <nav class="type-nav">
-      <ul class="type-list">
-${typeLinks}        <li><a href="about.html">ABOUT</a></li>
-      </ul>
-    </nav>
-    
-${flameArt}
-  </div>
-</body>
-</html>`;
+  const description = siteDescription();
+  const html = renderTemplate(['index'], {
+    title: HOMEPAGE_CONFIG.title,
+    meta: pageMeta({
+      title: HOMEPAGE_CONFIG.title,
+      description,
+      pagePath: '',
+      jsonLd: { ...authorJsonLd(), ...(description ? { description } : {}) }
+    }),
+    rootPath: '',
+    faviconLinks: generateFaviconLinks(),
+    homepage: HOMEPAGE_CONFIG,
+    types,
+    skeletonGif: hasSkeletonGif ? HOMEPAGE_CONFIG.skeletonGifName : null,
+    flameGif: hasFlameGif ? HOMEPAGE_CONFIG.flameGifName : null
+  });
 
-  fs.writeFileSync(path.join(OUTPUT_DIR, 'index.html'), html);
+  writeOutput(path.join(OUTPUT_DIR, 'index.html'), html);
 }
 
-// Generate type index page (lists all projects of a type)
-function generateTypeIndexPage(type, projects) {
-  const typeProjects = projects.filter(p => p.type === type);
-  
-  let projectList = '';
-  typeProjects.forEach(project => {
-    let thumbnail = 'placeholder.webp';
-    // Use first image, PDF, Vimeo, or YouTube for thumbnail (priority: image > PDF > Vimeo > YouTube)
-    if (project.images && project.images.length > 0) {
-      const mediaName = path.parse(project.images[0]).name;
-      thumbnail = `${project.slug}/images/${mediaName}-thumb.webp`;
-    } else if (project.pdfs && project.pdfs.length > 0) {
-      const mediaName = path.parse(project.pdfs[0]).name;
-      thumbnail = `${project.slug}/images/${mediaName}-thumb.webp`;
-    } else if (project.vimeos && project.vimeos.length > 0) {
-      // Use first Vimeo video thumbnail
-      const firstVimeoUrl = Array.isArray(project.vimeos) ? project.vimeos[0] : project.vimeos;
-      const videoId = getVimeoId(firstVimeoUrl);
-      if (videoId) {
-        thumbnail = `${project.slug}/images/vimeo-${videoId}-thumb.jpg`;
-      }
-    } else if (project.youtubes && project.youtubes.length > 0) {
-      // Use first YouTube video thumbnail
-      const firstYoutubeUrl = Array.isArray(project.youtubes) ? project.youtubes[0] : project.youtubes;
-      const videoId = getYouTubeId(firstYoutubeUrl);
-      if (videoId) {
-        thumbnail = `${project.slug}/images/youtube-${videoId}-thumb.jpg`;
-      }
+// Data for partials/project-card.ejs. typePath leads from the page to the project's type folder
+// ('' on its type page), unencoded.
+function projectCard(project, typePath) {
+  // The cropped card renditions when there are some; otherwise the picture's own renditions
+  // (images, PDF previews and video posters) or single file (embed and fallback thumbnails)
+  const picture = cardPicture(project);
+  const [imageName, info] = project.card ? [project.card.name, project.card] : [picture && picture.name, picture && picture.info];
+  const projectPath = `${typePath}${project.slug}/`;
+  const thumbnailHtml = generatePictureHtml(`${projectPath}images/`, imageName, info, {
+    alt: project.title,
+    sizes: IMAGE_CONFIG.sizes.card,
+    fallbackSrc: picture ? `${projectPath}images/${picture.file}` : 'placeholder.webp',
+    attributes: ' loading="lazy"'
+  });
+  
+  return { project, href: encodePath(projectPath), thumbnail: thumbnailHtml, featured: project.featured };
+}
+
+// Generate type index page (lists all projects of a type)
+function generateTypeIndexPage(type, projects) {
+  const typeProjects = sortProjects(projects.filter(p => p.type === type && !p.hidden), type);
+  const cards = typeProjects.map(project => projectCard(project, ''));
+  
+  // Previews show the first project's picture and list the titles
+  const label = typeTitle(type);
+  const titles = typeProjects.map(project => project.title).join(', ');
+  const description = `${label} by ${authorName()}${titles ? `: ${titles}` : ''}`;
+  const html = renderTemplate([`type-${type}`, 'type'], {
+    title: `${type.toUpperCase()} - Portfolio`,
+    meta: pageMeta({
+      title: `${label} - ${HOMEPAGE_CONFIG.title}`,
+      description: shortenText(description),
+      pagePath: `${encodePath(type)}/`,
+      image: typeProjects.map(projectShareImage).find(Boolean) || null,
+      feeds: feedLinks(type)
+    }),
+    rootPath: '../',
+    faviconLinks: generateFaviconLinks('../'),
+    backHref: '../',
+    backLabel: '← Back to Portfolio',
+    type,
+    typeLabel: type.toUpperCase(),
+    cards
+  });
+
+  const typeDir = path.join(OUTPUT_DIR, type);
+  fs.mkdirSync(typeDir, { recursive: true });
+  writeOutput(path.join(typeDir, 'index.html'), html);
+}
+
+// Taxonomies with listing pages, by project.terms key: the output folder (/tags/<tag>/) and the
+// singular and plural names used in headings
+const TAXONOMIES = {
+  tags: { dir: 'tags', singular: 'Tag', plural: 'Tags' },
+  materials: { dir: 'materials', singular: 'Material', plural: 'Materials' }
+};
+
+// Group the listed projects by tag and by material. Returns { tags, materials }, each a Map from
+// term slug to { slug, name, projects }; a term is named by its most common spelling. A taxonomy
+// whose folder a project type already uses gets no pages (and stays empty).
+function collectTaxonomies(projects) {
+  const listed = projects.filter(project => !project.hidden);
+  const types = new Set(projects.map(project => project.type));
+  const taxonomies = {};
+  
+  Object.entries(TAXONOMIES).forEach(([key, taxonomy]) => {
+    taxonomies[key] = new Map();
+    if (types.has(taxonomy.dir)) {
+      console.warn(`  ⚠️  The "${taxonomy.dir}" type folder is where ${key} pages would go, so none are generated`);
+      return;
     }
-    projectList += `        <article class="project-card">
-          <a href="${project.slug}/">
-            <img src="${thumbnail}" alt="${project.title}" loading="lazy">
-            <h3>${project.title}</h3>
-            <p class="date">${project.date}</p>
-          </a>
-        </article>\n`;
+    
+    const spellings = new Map();
+    listed.forEach(project => project.terms[key].forEach(name => {
+      const slug = termSlug(name);
+      if (!taxonomies[key].has(slug)) {
+        taxonomies[key].set(slug, { slug, name, projects: [] });
+        spellings.set(slug, new Map());
+      }
+      taxonomies[key].get(slug).projects.push(project);
+      spellings.get(slug).set(name, (spellings.get(slug).get(name) || 0) + 1);
+    }));
+    taxonomies[key].forEach(term => {
+      term.name = [...spellings.get(term.slug)].sort((a, b) => b[1] - a[1])[0][0];
+    });
   });
   
-  const faviconLinks = generateFaviconLinks('../');
-  const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${type.toUpperCase()} - Portfolio</title>
-${faviconLinks}  <link rel="stylesheet" href="../style.css">
-</head>
-<body>
-  <div class="page-container type-page">
-    <nav>
-      <a href="../">← Back to Portfolio</a>
-    </nav>
-    
-    <main class="type-content">
-      <section class="type-section">
-        <h2>${type.toUpperCase()}</h2>
-        <div class="project-grid">
-${projectList}        </div>
-      </section>
-    </main>
-  </div>
-</body>
-</html>`;
+  return taxonomies;
+}
 
-  const typeDir = path.join(OUTPUT_DIR, type);
-  fs.mkdirSync(typeDir, { recursive: true });
-  fs.writeFileSync(path.join(typeDir, 'index.html'), html);
+// A project's tags or materials for its page: { name, href } each, where href (from the project
+// page) is null for a term without a listing page (say it's only used by hidden projects)
+function termLinks(project, key, taxonomies) {
+  return project.terms[key].map(name => {
+    const term = taxonomies[key].get(termSlug(name));
+    return term
+      ? { name: term.name, href: `../../${TAXONOMIES[key].dir}/${encodePath(term.slug)}/` }
+      : { name, href: null };
+  });
+}
+
+// Write a page per tag and per material listing its projects as cards (like a type page, across
+// every type), and an index of all tags and of all materials
+function generateTaxonomyPages(projects, taxonomies) {
+  Object.entries(TAXONOMIES).forEach(([key, taxonomy]) => {
+    const terms = [...taxonomies[key].values()].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    if (terms.length === 0) return;
+    
+    terms.forEach(term => {
+      const termProjects = sortProjects(term.projects, null);
+      const titles = termProjects.map(project => project.title).join(', ');
+      const html = renderTemplate([`term-${key}`, 'term'], {
+        title: `${term.name} - Portfolio`,
+        meta: pageMeta({
+          title: `${term.name} - ${HOMEPAGE_CONFIG.title}`,
+          description: shortenText(`${taxonomy.singular}: ${term.name}. ${termProjects.length} project${termProjects.length === 1 ? '' : 's'} by ${authorName()}: ${titles}`),
+          pagePath: `${taxonomy.dir}/${encodePath(term.slug)}/`,
+          image: termProjects.map(projectShareImage).find(Boolean) || null
+        }),
+        rootPath: '../../',
+        faviconLinks: generateFaviconLinks('../../'),
+        backHref: '../',
+        backLabel: `← All ${taxonomy.plural}`,
+        taxonomy: key,
+        term,
+        heading: `${taxonomy.singular}: ${term.name}`,
+        cards: termProjects.map(project => projectCard(project, `../../${project.type}/`))
+      });
+      
+      const termDir = path.join(OUTPUT_DIR, taxonomy.dir, term.slug);
+      fs.mkdirSync(termDir, { recursive: true });
+      writeOutput(path.join(termDir, 'index.html'), html);
+    });
+    
+    const html = renderTemplate([`terms-${key}`, 'terms'], {
+      title: `${taxonomy.plural} - Portfolio`,
+      meta: pageMeta({
+        title: `${taxonomy.plural} - ${HOMEPAGE_CONFIG.title}`,
+        description: shortenText(`${taxonomy.plural} in the work of ${authorName()}: ${terms.map(term => term.name).join(', ')}`),
+        pagePath: `${taxonomy.dir}/`
+      }),
+      rootPath: '../',
+      faviconLinks: generateFaviconLinks('../'),
+      backHref: '../',
+      backLabel: '← Back to Portfolio',
+      taxonomy: key,
+      heading: taxonomy.plural.toUpperCase(),
+      terms: terms.map(term => ({ ...term, href: `${encodePath(term.slug)}/` }))
+    });
+    fs.mkdirSync(path.join(OUTPUT_DIR, taxonomy.dir), { recursive: true });
+    writeOutput(path.join(OUTPUT_DIR, taxonomy.dir, 'index.html'), html);
+    console.log(`  ✓ Wrote ${terms.length} ${key} page${terms.length === 1 ? '' : 's'}`);
+  });
 }
 
 // Generate about page HTML
@@ -1123,34 +2669,300 @@ function generateAboutPage() {
   if (fs.existsSync(aboutPath)) {
     const aboutFile = fs.readFileSync(aboutPath, 'utf-8');
     const parsed = matter(aboutFile);
-    aboutContent = marked(parsed.content);
-  }
-  
-  const faviconLinks = generateFaviconLinks();
-  const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>About</title>
-${faviconLinks}  <link rel="stylesheet" href="style.css">
-</head>
-<body>
-  <div class="page-container">
-    <nav>
-      <a href="/">← Back to Home</a>
-    </nav>
-    
-    <main class="project">
-      <div class="about-content">
-        ${aboutContent}
-      </div>
-    </main>
-  </div>
-</body>
-</html>`;
+    aboutContent = renderMarkdown(parsed.content);
+  }
+  
+  const description = fs.existsSync(aboutPath) ? summarize(aboutContent) : '';
+  const html = renderTemplate(['about'], {
+    title: 'About',
+    meta: pageMeta({
+      title: `About - ${HOMEPAGE_CONFIG.title}`,
+      description,
+      pagePath: 'about.html',
+      type: 'profile',
+      jsonLd: { '@type': 'ProfilePage', mainEntity: { ...authorJsonLd(), ...(description ? { description } : {}) } }
+    }),
+    rootPath: '',
+    faviconLinks: generateFaviconLinks(),
+    backHref: '/',
+    backLabel: '← Back to Home',
+    aboutContent
+  });
+
+  writeOutput(path.join(OUTPUT_DIR, 'about.html'), html);
+}
+
+// Write a redirect page at each of a project's earlier paths (see `aliases` in parseProject), so
+// links to the old folder-name URLs keep working. Paths another project's page uses are skipped.
+function generateRedirectPages(projects) {
+  let count = 0;
+  projects.forEach(project => {
+    project.aliases.forEach(alias => {
+      const taken = projects.find(other => other.type === project.type && other.slug.toLowerCase() === alias.toLowerCase());
+      if (taken) {
+        // Includes the project itself when the old path only differs in case (the same folder on macOS/Windows)
+        if (taken !== project) console.warn(`  ⚠️  ${project.type}/${alias} is ${taken.name}'s page, not redirecting it to ${project.slug}`);
+        return;
+      }
+      
+      const target = `../${encodePath(project.slug)}/`;
+      const html = renderTemplate(['redirect'], {
+        title: project.title,
+        target,
+        canonical: absoluteUrl(`${encodePath(project.type)}/${encodePath(project.slug)}/`) || target
+      });
+      const redirectDir = path.join(OUTPUT_DIR, project.type, alias);
+      fs.mkdirSync(redirectDir, { recursive: true });
+      writeOutput(path.join(redirectDir, 'index.html'), html);
+      count++;
+    });
+  });
+  if (count > 0) console.log(`  ✓ Wrote ${count} redirect page${count === 1 ? '' : 's'} from old project paths`);
+}
+
+// Type folder name as a title, e.g. "photo-video" → "Photo Video"
+function typeTitle(type) {
+  return type.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// When a project last changed: its `updated:` date, otherwise the newest of its info.md and media
+// files (a fresh clone resets file dates, so `updated:` is the one to rely on when building in CI)
+function projectLastModified(project) {
+  const updated = parseProjectDate(project.updated);
+  if (updated !== null) return new Date(updated);
+  
+  const files = [
+    path.join(project.path, 'info.md'),
+    ...[...project.images, ...project.pdfs, ...project.videoFiles].map(file => path.join(project.path, 'images', file))
+  ];
+  return new Date(Math.max(...files.filter(file => fs.existsSync(file)).map(file => fs.statSync(file).mtimeMs)));
+}
+
+// Write sitemap.xml: the homepage, about page, type pages, every listed project page and the tag
+// and material pages, with the date each last changed
+function generateSitemap(projects, taxonomies) {
+  const listed = projects.filter(project => !project.hidden);
+  const newest = dates => new Date(Math.max(...dates.map(date => date.getTime())));
+  const projectDates = new Map(listed.map(project => [project, projectLastModified(project)]));
+  const types = [...new Set(listed.map(project => project.type))].sort();
+  
+  const pages = [
+    { path: '', lastmod: listed.length > 0 ? newest([...projectDates.values()]) : null },
+    { path: 'about.html', lastmod: fs.existsSync('./about.md') ? fs.statSync('./about.md').mtime : null },
+    ...types.map(type => ({
+      path: `${encodePath(type)}/`,
+      lastmod: newest(listed.filter(project => project.type === type).map(project => projectDates.get(project)))
+    })),
+    ...listed.map(project => ({
+      path: `${encodePath(project.type)}/${encodePath(project.slug)}/`,
+      lastmod: projectDates.get(project)
+    })),
+    ...Object.entries(TAXONOMIES).flatMap(([key, taxonomy]) => {
+      const terms = [...taxonomies[key].values()];
+      if (terms.length === 0) return [];
+      const termPages = terms.map(term => ({
+        path: `${taxonomy.dir}/${encodePath(term.slug)}/`,
+        lastmod: newest(term.projects.map(project => projectDates.get(project)))
+      }));
+      return [{ path: `${taxonomy.dir}/`, lastmod: newest(termPages.map(page => page.lastmod)) }, ...termPages];
+    })
+  ];
+  
+  const urls = pages.map(page => `  <url>
+    <loc>${escapeHtml(absoluteUrl(page.path))}</loc>${page.lastmod ? `
+    <lastmod>${page.lastmod.toISOString()}</lastmod>` : ''}
+  </url>`).join('\n');
+  writeOutput(path.join(OUTPUT_DIR, 'sitemap.xml'), `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>
+`);
+  console.log(`  ✓ Wrote sitemap.xml (${pages.length} pages)`);
+}
+
+// Write robots.txt: ./robots.txt as-is when the site has one, otherwise built from seo.disallow
+// and pointing crawlers at the sitemap
+function generateRobots() {
+  const robotsPath = path.join(OUTPUT_DIR, 'robots.txt');
+  if (fs.existsSync('./robots.txt')) {
+    copyOutput('./robots.txt', robotsPath);
+    console.log('  ✓ Copied robots.txt');
+    return;
+  }
+  
+  const disallow = SEO_CONFIG.disallow.length > 0 ? SEO_CONFIG.disallow : [''];
+  const lines = ['User-agent: *', ...disallow.map(rule => `Disallow: ${rule}`)];
+  if (siteUrl()) lines.push('', `Sitemap: ${absoluteUrl('sitemap.xml')}`);
+  writeOutput(robotsPath, `${lines.join('\n')}\n`);
+  console.log('  ✓ Wrote robots.txt');
+}
+
+// Feed files, by FEED_CONFIG.formats name
+const FEED_FORMATS = {
+  atom: { file: 'feed.xml', type: 'application/atom+xml', render: renderAtomFeed },
+  rss: { file: 'rss.xml', type: 'application/rss+xml', render: renderRssFeed },
+  json: { file: 'feed.json', type: 'application/feed+json', render: renderJsonFeed }
+};
+
+// Feeds to advertise with <link rel="alternate"> on a page: the site's, plus the type's own when
+// feeds.perType is on (none without a site URL, since feeds aren't written then)
+function feedLinks(type = null) {
+  if (!siteUrl()) return [];
+  const scopes = [{ dir: '', title: HOMEPAGE_CONFIG.title }];
+  if (type && FEED_CONFIG.perType) scopes.push({ dir: `${encodePath(type)}/`, title: `${typeTitle(type)} - ${HOMEPAGE_CONFIG.title}` });
+  return scopes.flatMap(scope => FEED_CONFIG.formats.map(format => ({
+    type: FEED_FORMATS[format].type,
+    title: scope.title,
+    href: absoluteUrl(`${scope.dir}${FEED_FORMATS[format].file}`)
+  })));
+}
+
+// What a feed shows of a project: its link, dates, summary, and content made of its card picture
+// and statement
+function feedEntry(project) {
+  const image = projectShareImage(project);
+  const imageUrl = image && absoluteUrl(image.path);
+  const published = parseProjectDate(project.date);
+  const updated = projectLastModified(project);
+  const picture = imageUrl ? `<p><img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(project.title)}"></p>` : '';
+  return {
+    title: String(project.title),
+    url: absoluteUrl(`${encodePath(project.type)}/${encodePath(project.slug)}/`),
+    categories: [project.type, ...project.terms.tags],
+    imageUrl,
+    published: published !== null ? new Date(published) : updated,
+    updated,
+    summary: project.description || summarize(project.statement),
+    content: `${picture}${project.statement}`
+  };
+}
 
-  fs.writeFileSync(path.join(OUTPUT_DIR, 'about.html'), html);
+// Atom feed (feed.xml)
+function renderAtomFeed(feed) {
+  const entries = feed.entries.map(entry => `  <entry>
+    <title>${escapeHtml(entry.title)}</title>
+    <link href="${escapeHtml(entry.url)}"/>
+    <id>${escapeHtml(entry.url)}</id>
+    <published>${entry.published.toISOString()}</published>
+    <updated>${entry.updated.toISOString()}</updated>${entry.categories.map(category => `
+    <category term="${escapeHtml(category)}"/>`).join('')}${entry.summary ? `
+    <summary>${escapeHtml(entry.summary)}</summary>` : ''}
+    <content type="html">${escapeHtml(entry.content)}</content>
+  </entry>`).join('\n');
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(feed.title)}</title>
+  <link href="${escapeHtml(feed.homeUrl)}"/>
+  <link rel="self" href="${escapeHtml(feed.feedUrl)}"/>
+  <id>${escapeHtml(feed.homeUrl)}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author>
+    <name>${escapeHtml(authorName())}</name>
+  </author>
+${entries}
+</feed>
+`;
+}
+
+// RSS 2.0 feed (rss.xml)
+function renderRssFeed(feed) {
+  const items = feed.entries.map(entry => `    <item>
+      <title>${escapeHtml(entry.title)}</title>
+      <link>${escapeHtml(entry.url)}</link>
+      <guid isPermaLink="true">${escapeHtml(entry.url)}</guid>
+      <pubDate>${entry.published.toUTCString()}</pubDate>${entry.categories.map(category => `
+      <category>${escapeHtml(category)}</category>`).join('')}
+      <description>${escapeHtml(entry.content || entry.summary)}</description>
+    </item>`).join('\n');
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(feed.title)}</title>
+    <link>${escapeHtml(feed.homeUrl)}</link>
+    <description>${escapeHtml(feed.description || feed.title)}</description>
+    <atom:link href="${escapeHtml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+// JSON Feed 1.1 (feed.json)
+function renderJsonFeed(feed) {
+  return `${JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    ...(feed.description ? { description: feed.description } : {}),
+    authors: [{ name: authorName(), url: absoluteUrl('') }],
+    items: feed.entries.map(entry => ({
+      id: entry.url,
+      url: entry.url,
+      title: entry.title,
+      ...(entry.summary ? { summary: entry.summary } : {}),
+      content_html: entry.content,
+      ...(entry.imageUrl ? { image: entry.imageUrl } : {}),
+      date_published: entry.published.toISOString(),
+      date_modified: entry.updated.toISOString(),
+      tags: entry.categories
+    }))
+  }, null, 2)}\n`;
+}
+
+// Write the site's feeds (and each type's, with feeds.perType): listed projects, newest first by
+// `date:` (undated ones last, and projects with the same date by title), up to feeds.limit
+function generateFeeds(projects) {
+  if (FEED_CONFIG.formats.length === 0) return;
+  
+  const entries = projects
+    .filter(project => !project.hidden)
+    .map(project => ({ project, date: parseProjectDate(project.date) }))
+    .sort((a, b) => {
+      if (a.date !== b.date) {
+        if (a.date === null) return 1;
+        if (b.date === null) return -1;
+        return b.date - a.date;
+      }
+      return String(a.project.title).localeCompare(String(b.project.title), undefined, { sensitivity: 'base' })
+        || a.project.slug.localeCompare(b.project.slug);
+    })
+    .map(({ project }) => ({ project, entry: feedEntry(project) }));
+  const types = [...new Set(entries.map(({ project }) => project.type))].sort();
+  const scopes = [
+    { dir: '', title: HOMEPAGE_CONFIG.title, description: siteDescription(), entries },
+    ...(FEED_CONFIG.perType ? types.map(type => ({
+      dir: `${type}/`,
+      title: `${typeTitle(type)} - ${HOMEPAGE_CONFIG.title}`,
+      description: `${typeTitle(type)} by ${authorName()}`,
+      entries: entries.filter(({ project }) => project.type === type)
+    })) : [])
+  ];
+  
+  let count = 0;
+  scopes.forEach(scope => {
+    const feedEntries = scope.entries.map(({ entry }) => entry).slice(0, FEED_CONFIG.limit > 0 ? FEED_CONFIG.limit : undefined);
+    // An empty feed gets a fixed date rather than the build time, so rebuilding doesn't change it
+    const updated = feedEntries.length > 0
+      ? new Date(Math.max(...feedEntries.map(entry => entry.updated.getTime())))
+      : new Date(0);
+    FEED_CONFIG.formats.forEach(format => {
+      const { file, render } = FEED_FORMATS[format];
+      const feed = {
+        title: scope.title,
+        description: scope.description,
+        homeUrl: absoluteUrl(encodePath(scope.dir)),
+        feedUrl: absoluteUrl(encodePath(`${scope.dir}${file}`)),
+        updated,
+        entries: feedEntries
+      };
+      fs.mkdirSync(path.join(OUTPUT_DIR, scope.dir), { recursive: true });
+      writeOutput(path.join(OUTPUT_DIR, scope.dir, file), render(feed));
+      count++;
+    });
+  });
+  console.log(`  ✓ Wrote ${count} feed${count === 1 ? '' : 's'} (${FEED_CONFIG.formats.join(', ')})`);
 }
 
 // Generate CNAME file for custom domain
@@ -1160,18 +2972,63 @@ function generateCNAME() {
   
   // If CNAME exists in root, copy it; otherwise create empty placeholder
   if (fs.existsSync(cnameSourcePath)) {
-    fs.copyFileSync(cnameSourcePath, cnamePath);
+    copyOutput(cnameSourcePath, cnamePath);
     console.log('  ✓ Copied CNAME file');
   } else {
     // Create empty CNAME file (user can add domain later)
-    fs.writeFileSync(cnamePath, '');
+    writeOutput(cnamePath, '');
     console.log('  ✓ Created CNAME file (add your domain to ./CNAME in project root)');
   }
 }
 
+// Check whether an output path is protected by OUTPUT_KEEP or output.keep
+function isKeptOutput(relativePath) {
+  const normalized = relativePath.split(path.sep).join('/');
+  return [...OUTPUT_KEEP, ...OUTPUT_CONFIG.keep]
+    .map(keep => keep.replace(/^\.\//, '').replace(/\/+$/, ''))
+    .some(keep => normalized === keep || normalized.startsWith(`${keep}/`));
+}
+
+// Remove files in output/ that this build didn't produce (renamed or deleted types and projects)
+function pruneOutput(dryRun = false) {
+  const stale = [];
+  
+  function walk(dir) {
+    fs.readdirSync(dir).forEach(entry => {
+      const entryPath = path.join(dir, entry);
+      if (isKeptOutput(path.relative(OUTPUT_DIR, entryPath))) return;
+      
+      if (fs.statSync(entryPath).isDirectory()) {
+        walk(entryPath);
+        // Drop folders left empty once their stale contents are gone
+        if (!dryRun && fs.readdirSync(entryPath).length === 0) {
+          fs.rmdirSync(entryPath);
+        }
+      } else if (!builtFiles.has(path.resolve(entryPath))) {
+        stale.push(entryPath);
+        if (!dryRun) {
+          fs.unlinkSync(entryPath);
+        }
+      }
+    });
+  }
+  
+  walk(OUTPUT_DIR);
+  
+  if (stale.length === 0) {
+    console.log('  ✓ No stale files in output/');
+    return;
+  }
+  
+  const verb = dryRun ? 'Would remove' : 'Removed';
+  stale.forEach(file => console.log(`    ${dryRun ? '-' : '✗'} ${verb.toLowerCase()} ${path.relative(OUTPUT_DIR, file)}`));
+  console.log(`  ✓ ${verb} ${stale.length} stale file${stale.length === 1 ? '' : 's'} from output/`);
+}
+
 // Generate basic CSS
 function generateCSS() {
   const c = DESIGN_CONFIG;
+  const cardAspectRatio = parseAspectRatio(IMAGE_CONFIG.cardAspectRatio) ? IMAGE_CONFIG.cardAspectRatio.replace(':', ' / ') : null;
   const css = `html {
   box-sizing: border-box;
   overflow-x: hidden;
@@ -1427,27 +3284,41 @@ hr {
 
 /* Project grid - using table-like layout */
 .project-grid {
-  display: block;
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+  gap: 20px;
+  align-items: start;
 }
 
 .project-card {
   display: block;
-  margin-bottom: 20px;
   border: 2px inset #CCCCCC;
   padding: 10px;
   background-color: #FFFFFF;
 }
 
+.project-card.featured {
+  border: 2px outset ${c.colors.flameBorder};
+}
+
 .project-card a {
   text-decoration: none;
   color: #000000;
 }
 
+.project-card picture {
+  display: block;
+}
+
 .project-card img {
   width: 100%;
+  height: auto;
   border: 2px inset #CCCCCC;
   margin-bottom: 10px;
-  display: block;
+  display: block;${cardAspectRatio ? `
+  /* Cards are cropped to this shape; pictures that couldn't be cropped are fitted to it */
+  aspect-ratio: ${cardAspectRatio};
+  object-fit: cover;` : ''}
 }
 
 .project-card h3 {
@@ -1503,6 +3374,50 @@ hr {
   background-color: #E0E0E0;
 }
 
+/* Tag chips link to their tag pages (a tag only on hidden projects has no page) */
+.meta .tag {
+  display: inline-block;
+  margin-right: 8px;
+  padding: 3px 8px;
+  border: 1px outset #CCCCCC;
+  background-color: #F0F0F0;
+  font-size: 10pt;
+}
+
+a.tag,
+.term-list .term {
+  color: ${c.colors.headerText};
+  text-decoration: none;
+}
+
+a.tag:hover,
+.term-list .term:hover {
+  border: 1px inset #CCCCCC;
+  color: ${c.colors.linkHover};
+}
+
+/* Tag and material index pages */
+.term-list {
+  list-style: none;
+  display: flex;
+  flex-wrap: wrap;
+  gap: 10px;
+  padding: 0;
+  margin: 0;
+}
+
+.term-list .term {
+  display: inline-block;
+  padding: 3px 8px;
+  border: 1px outset #CCCCCC;
+  background-color: #F0F0F0;
+}
+
+.term-count {
+  color: #666666;
+  font-size: 10pt;
+}
+
 .gallery {
   margin-bottom: 30px;
 }
@@ -1514,6 +3429,7 @@ hr {
 
 .gallery img {
   width: 100%;
+  height: auto;
   border: 2px inset #CCCCCC;
   margin-bottom: 15px;
   display: block;
@@ -1588,6 +3504,7 @@ hr {
   background-color: #FFFFFF;
   border: 4px outset #CCCCCC;
   padding: 20px;
+  touch-action: pan-y pinch-zoom;
 }
 
 .popup-close {
@@ -1654,7 +3571,7 @@ hr {
   border: 2px inset #CCCCCC;
 }
 
-.popup-vimeo {
+.popup-embed {
   width: 100%;
   height: 85vh;
   border: 2px inset #CCCCCC;
@@ -1662,6 +3579,40 @@ hr {
   box-sizing: border-box;
 }
 
+.popup-embed-audio {
+  height: 480px;
+}
+
+.popup-file-video {
+  width: 100%;
+  max-height: 85vh;
+  background-color: #000000;
+}
+
+.popup-caption {
+  margin: 10px 0 0;
+  text-align: center;
+}
+
+.popup-close:focus-visible,
+.popup-nav:focus-visible {
+  outline: 3px solid #FFFFFF;
+  outline-offset: 2px;
+}
+
+/* Text for screen readers only (slide position announcements) */
+.visually-hidden {
+  position: absolute;
+  width: 1px;
+  height: 1px;
+  margin: -1px;
+  padding: 0;
+  overflow: hidden;
+  clip: rect(0 0 0 0);
+  white-space: nowrap;
+  border: 0;
+}
+
 .statement {
   border: 2px inset #CCCCCC;
   padding: 15px;
@@ -1823,25 +3774,53 @@ hr {
 }
 `;
 
-  fs.writeFileSync(path.join(OUTPUT_DIR, 'style.css'), css);
+  writeOutput(path.join(OUTPUT_DIR, 'style.css'), css);
 }
 
-// Main build function
-async function build() {
-  console.log('🔨 Building portfolio...\n');
+// Main build function. options.only limits the build to what a change affects:
+// 'about' for the about page, or '<type>/<project folder>' for one project (plus index pages).
+async function build(options = {}) {
+  const only = options.only || null;
+  console.log(only ? `🔨 Rebuilding ${only}...\n` : '🔨 Building portfolio...\n');
+  
+  if (only === 'about') {
+    generateAboutPage();
+    console.log('✨ Rebuilt about page\n');
+    return;
+  }
   
   const projects = getAllProjects();
   console.log(`Found ${projects.length} projects\n`);
+  const taxonomies = collectTaxonomies(projects);
+  if (!siteUrl()) {
+    console.warn('  ⚠️  No site URL (add your domain to ./CNAME or set seo.url): pages get no canonical links or link preview images, and no sitemap or feeds are written\n');
+  }
+  
+  // Load the build cache so unchanged media isn't re-encoded (--force rebuilds everything)
+  const cache = loadBuildCache(options.force);
+  if (options.force) {
+    console.log('  --force: ignoring build cache\n');
+  }
   
   // Generate each project page and optimize images
+  const carouselAssets = writeCarouselAssets();
   for (const project of projects) {
+    if (only && `${project.type}/${project.name}` !== only) {
+      restoreCachedRenditions(project, cache);
+      continue;
+    }
     console.log(`  Processing ${project.type}/${project.slug}...`);
-    await optimizeProjectImages(project);
-    generateProjectPage(project);
+    await optimizeProjectImages(project, cache);
+    generateProjectPage(project, carouselAssets, taxonomies);
   }
   
-  // Copy assets (GIFs, etc.)
-  copyAssets();
+  saveBuildCache(cache, Boolean(only));
+  console.log(`\n  ✓ Media cache: ${cache.hits} unchanged, ${cache.misses} processed\n`);
+  if (metadataReport.length > 0) {
+    console.log(`  🔒 Metadata removed from ${metadataReport.length} image${metadataReport.length === 1 ? '' : 's'}:`);
+    metadataReport.forEach(entry => console.log(`    ${entry.file}: ${entry.removed.join(', ')}`));
+    console.log('');
+  }
   
   // Generate index page
   generateIndexPage(projects);
@@ -1852,19 +3831,215 @@ async function build() {
     generateTypeIndexPage(type, projects);
   });
   
+  // Generate tag and material pages
+  generateTaxonomyPages(projects, taxonomies);
+  
+  if (only) {
+    console.log(`✨ Rebuilt ${only}\n`);
+    return;
+  }
+  
+  // Copy assets (GIFs, etc.)
+  copyAssets();
+  
   // Generate about page
   generateAboutPage();
   
   // Generate CSS
   generateCSS();
   
+  // Keep old project URLs working
+  generateRedirectPages(projects);
+  
+  // Sitemap, robots.txt and feeds (the sitemap and feeds need absolute URLs, so a site URL)
+  if (siteUrl()) {
+    generateSitemap(projects, taxonomies);
+    generateFeeds(projects);
+  }
+  generateRobots();
+  
   // Generate CNAME file for custom domain (if configured)
   generateCNAME();
   
+  // Remove pages and assets left behind by renamed or deleted projects
+  pruneOutput(options.dryRun);
+  
   console.log('\n✨ Build complete! Check the output/ folder\n');
 }
 
-// Sync test.html changes back to build.js config
+// Content types for the development server
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm'
+};
+
+// Injected into HTML responses by the development server (never written to output/)
+const LIVE_RELOAD_SCRIPT = `<script>new EventSource('/__livereload').onmessage = () => location.reload();</script>`;
+
+// Run a build in a fresh Node process, so edits to build.js (including the config) always apply
+function runBuildProcess(buildArgs = []) {
+  return new Promise(resolve => {
+    const configArgs = argValue('--config') ? ['--config', CONFIG_FILE] : [];
+    const child = spawn(process.execPath, [__filename, ...buildArgs, ...configArgs], { stdio: 'inherit' });
+    child.on('exit', code => resolve(code === 0));
+  });
+}
+
+// Work out what a changed file affects: 'about', '<type>/<project>', or null for a full rebuild
+function getRebuildScope(changedPath) {
+  const relative = path.relative('.', changedPath).split(path.sep);
+  
+  if (relative.length === 1 && relative[0] === 'about.md') return 'about';
+  
+  if (relative[0] === path.basename(PROJECTS_DIR) && relative.length >= 4) {
+    const projectPath = path.join(PROJECTS_DIR, relative[1], relative[2]);
+    // A new, renamed, re-slugged or deleted project changes the output tree, so that needs a full build
+    try {
+      const { data } = matter(fs.readFileSync(path.join(projectPath, 'info.md'), 'utf-8'));
+      const slug = projectSlug(relative[2], data);
+      if (fs.existsSync(path.join(OUTPUT_DIR, relative[1], slug, 'index.html'))) {
+        return `${relative[1]}/${relative[2]}`;
+      }
+    } catch (error) {
+      // No readable info.md (or no such project any more)
+    }
+  }
+  
+  return null;
+}
+
+// Local development server: serves output/, rebuilds on changes and live-reloads open tabs
+async function serve(options = {}) {
+  const port = options.port || 8000;
+  const host = options.host || '127.0.0.1';
+  const clients = new Set();
+  
+  await runBuildProcess();
+  
+  const server = http.createServer((req, res) => {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(req.url.split('?')[0]);
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Bad request');
+      return;
+    }
+    
+    if (urlPath === '/__livereload') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write('\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+    
+    // Resolve inside output/ only (no ../ escapes), serving index.html for folders
+    const outputRoot = path.resolve(OUTPUT_DIR);
+    let filePath = path.join(outputRoot, urlPath);
+    if (filePath !== outputRoot && !filePath.startsWith(outputRoot + path.sep)) {
+      res.writeHead(403);
+      res.end('Forbidden');
+      return;
+    }
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      if (!urlPath.endsWith('/')) {
+        res.writeHead(301, { Location: `${encodeURI(urlPath)}/` });
+        res.end();
+        return;
+      }
+      filePath = path.join(filePath, 'index.html');
+    }
+    if (!fs.existsSync(filePath)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(`Not found: ${urlPath}`);
+      return;
+    }
+    
+    const extension = path.extname(filePath).toLowerCase();
+    const contentType = MIME_TYPES[extension] || 'application/octet-stream';
+    let body = fs.readFileSync(filePath);
+    if (extension === '.html') {
+      body = body.toString('utf-8').replace('</body>', `${LIVE_RELOAD_SCRIPT}\n</body>`);
+    }
+    res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    res.end(body);
+  });
+  
+  // Collect changes briefly, then run one build covering all of them
+  const pending = new Set();
+  let timer = null;
+  let building = false;
+  
+  async function rebuild() {
+    if (building) return;
+    building = true;
+    
+    const scopes = [...pending];
+    pending.clear();
+    // Several different scopes (or any full-build change) collapse into one full build
+    const only = scopes.length === 1 ? scopes[0] : null;
+    const ok = await runBuildProcess(only ? ['--only', only] : []);
+    
+    building = false;
+    if (ok) {
+      clients.forEach(client => client.write('data: reload\n\n'));
+    } else {
+      console.error('✗ Build failed, keeping the previous output');
+    }
+    if (pending.size > 0) rebuild();
+  }
+  
+  function onChange(changedPath) {
+    pending.add(getRebuildScope(changedPath));
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, 150);
+  }
+  
+  // Project folders and assets are watched recursively; root files are watched through the
+  // root folder, since editors often replace a file on save (which ends a single-file watch)
+  [PROJECTS_DIR, ASSETS_DIR, TEMPLATES_DIR].filter(dir => fs.existsSync(dir)).forEach(dir => {
+    fs.watch(dir, { recursive: true }, (event, filename) => {
+      if (filename) onChange(path.join(dir, filename));
+    });
+  });
+  const watchedRootFiles = ['about.md', 'build.js', 'CNAME'];
+  fs.watch('.', (event, filename) => {
+    if (watchedRootFiles.includes(filename)) onChange(filename);
+  });
+  fs.watch(path.dirname(CONFIG_FILE), (event, filename) => {
+    if (filename === path.basename(CONFIG_FILE)) onChange(CONFIG_FILE);
+  });
+  
+  // Only reachable from this machine unless --host says otherwise (e.g. 0.0.0.0 to test on a phone)
+  server.listen(port, host, () => {
+    console.log(`👀 Serving ${OUTPUT_DIR} at http://${host === '127.0.0.1' ? 'localhost' : host}:${port}`);
+    console.log(`   Watching ${PROJECTS_DIR}, ${ASSETS_DIR}, ${TEMPLATES_DIR}, ${CONFIG_FILE} and ${watchedRootFiles.join(', ')} (Ctrl+C to stop)\n`);
+  });
+}
+
+// Sync test.html changes back into the site config file
 function syncFromTest() {
   const TEST_FILE = './test.html';
   
@@ -1873,11 +4048,16 @@ function syncFromTest() {
     return;
   }
   
-  console.log('🔄 Syncing from test.html to build.js...\n');
+  if (!/\.json$/.test(CONFIG_FILE)) {
+    console.log(`❌ --sync can only write JSON config files (${CONFIG_FILE} is not JSON)`);
+    return;
+  }
+  
+  console.log(`🔄 Syncing from test.html to ${CONFIG_FILE}...\n`);
   
   const testContent = fs.readFileSync(TEST_FILE, 'utf-8');
-  const BUILD_FILE = './build.js';
-  const buildContent = fs.readFileSync(BUILD_FILE, 'utf-8');
+  // Only the values in the file are rewritten; everything else keeps its defaults
+  const siteConfig = fs.existsSync(CONFIG_FILE) ? readConfigFile(CONFIG_FILE) : {};
   
   // Extract CSS from test.html
   const cssMatch = testContent.match(/<style>([\s\S]*?)<\/style>/);
@@ -1887,26 +4067,24 @@ function syncFromTest() {
   }
   
   const css = cssMatch[1];
-  let updated = buildContent;
   let changesCount = 0;
   
-  // Helper to extract CSS value before a comment
-  function extractValue(property, commentPattern) {
-    const regex = new RegExp(`${property}:\\s*([^;]+?)\\s*;\\s*\\/\\*\\s*${commentPattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*\\*\\/`, 'i');
-    const match = css.match(regex);
-    if (match) {
-      // Clean up the value - remove extra whitespace, handle quotes
-      let value = match[1].trim();
-      // If it's already quoted, keep it; otherwise add quotes if needed
-      if (!value.match(/^['"]/)) {
-        // Check if it's a color, size, etc that might need quotes
-        if (value.includes(' ') || value.includes(',')) {
-          value = `"${value}"`;
-        }
-      }
-      return value;
-    }
-    return null;
+  // Set a dotted config key (e.g. design.colors.link), counting it only if the value changed
+  function updateConfig(configPath, value) {
+    const keys = configPath.split('.');
+    const last = keys.pop();
+    let target = siteConfig;
+    keys.forEach(key => {
+      target[key] = target[key] || {};
+      target = target[key];
+    });
+    
+    const current = keys.reduce((values, key) => values[key], SITE_CONFIG)[last];
+    if (current === value) return;
+    
+    target[last] = value;
+    changesCount++;
+    console.log(`  ✓ Updated ${configPath}: ${value}`);
   }
   
   // Sync simple config values
@@ -1929,19 +4107,7 @@ function syncFromTest() {
     const regex = new RegExp(searchPattern, 'is');
     const match = css.match(regex);
     if (match) {
-      let value = match[1].trim();
-      // Add quotes if not already quoted and contains special chars
-      if (!value.match(/^['"]/) && (value.includes(' ') || value.includes('#'))) {
-        value = `'${value}'`;
-      }
-      
-      // Update in build.js
-      const configRegex = new RegExp(`(${mapping.configPath}:\\s*)['"]?[^'",\\n]+['"]?`, 'i');
-      if (configRegex.test(updated)) {
-        updated = updated.replace(configRegex, `$1${value}`);
-        changesCount++;
-        console.log(`  ✓ Updated ${mapping.configPath}: ${value}`);
-      }
+      updateConfig(`design.${mapping.configPath}`, match[1].trim());
     }
   }
   
@@ -1979,13 +4145,7 @@ function syncFromTest() {
       }
       
       if (value && value.match(/^#/)) {
-        const [parent, child] = mapping.configPath.split('.');
-        const configRegex = new RegExp(`(${parent}:\\s*{[^}]*${child}:\\s*)['"]?[^'",\\n]+['"]?`, 'i');
-        if (configRegex.test(updated)) {
-          updated = updated.replace(configRegex, `$1'${value}'`);
-          changesCount++;
-          console.log(`  ✓ Updated ${mapping.configPath}: ${value}`);
-        }
+        updateConfig(`design.${mapping.configPath}`, value);
       }
     }
   }
@@ -2006,14 +4166,7 @@ function syncFromTest() {
     const regex = new RegExp(searchPattern, 'is');
     const match = css.match(regex);
     if (match) {
-      let value = match[1].trim();
-      const [parent, child] = mapping.configPath.split('.');
-      const configRegex = new RegExp(`(${parent}:\\s*{[^}]*${child}:\\s*)['"]?[^'",\\n]+['"]?`, 'i');
-      if (configRegex.test(updated)) {
-        updated = updated.replace(configRegex, `$1'${value}'`);
-        changesCount++;
-        console.log(`  ✓ Updated ${mapping.configPath}: ${value}`);
-      }
+      updateConfig(`design.${mapping.configPath}`, match[1].trim());
     }
   }
   
@@ -2028,14 +4181,7 @@ function syncFromTest() {
     const regex = new RegExp(searchPattern, 'is');
     const match = css.match(regex);
     if (match) {
-      let value = match[1].trim();
-      const [parent, child] = mapping.configPath.split('.');
-      const configRegex = new RegExp(`(${parent}:\\s*{[^}]*${child}:\\s*)['"]?[^'",\\n]+['"]?`, 'i');
-      if (configRegex.test(updated)) {
-        updated = updated.replace(configRegex, `$1${value}`);
-        changesCount++;
-        console.log(`  ✓ Updated ${mapping.configPath}: ${value}`);
-      }
+      updateConfig(`design.${mapping.configPath}`, match[1].trim());
     }
   }
   
@@ -2044,29 +4190,17 @@ function syncFromTest() {
   const subtitleMatch = testContent.match(/<p class="flame-text">([^<]+)<\/p>/);
   
   if (titleMatch) {
-    const title = titleMatch[1].trim();
-    const titleRegex = /(title:\s*)['"][^'"]+['"]/;
-    if (titleRegex.test(updated)) {
-      updated = updated.replace(titleRegex, `$1'${title}'`);
-      changesCount++;
-      console.log(`  ✓ Updated HOMEPAGE_CONFIG.title: ${title}`);
-    }
+    updateConfig('homepage.title', titleMatch[1].trim());
   }
   
   if (subtitleMatch) {
-    const subtitle = subtitleMatch[1].trim();
-    const subtitleRegex = /(subtitle:\s*)['"][^'"]+['"]/;
-    if (subtitleRegex.test(updated)) {
-      updated = updated.replace(subtitleRegex, `$1'${subtitle}'`);
-      changesCount++;
-      console.log(`  ✓ Updated HOMEPAGE_CONFIG.subtitle: ${subtitle}`);
-    }
+    updateConfig('homepage.subtitle', subtitleMatch[1].trim());
   }
   
-  // Write updated build.js
+  // Write updated config file
   if (changesCount > 0) {
-    fs.writeFileSync(BUILD_FILE, updated);
-    console.log(`\n✨ Synced ${changesCount} changes from test.html to build.js`);
+    fs.writeFileSync(CONFIG_FILE, `${JSON.stringify(siteConfig, null, 2)}\n`);
+    console.log(`\n✨ Synced ${changesCount} changes from test.html to ${CONFIG_FILE}`);
     console.log('   Run "node build.js" to rebuild with new settings!\n');
   } else {
     console.log('\n✨ No changes detected (test.html matches current config)');
@@ -2074,10 +4208,17 @@ function syncFromTest() {
 }
 
 // Check command line argument
-const args = process.argv.slice(2);
 if (args.includes('--sync') || args.includes('-s')) {
   syncFromTest();
+} else if (args.includes('--check')) {
+  checkProjects();
+} else if (args.includes('--serve')) {
+  serve({ port: parseInt(argValue('--port'), 10) || 8000, host: argValue('--host') });
 } else {
   // Run the build
-  build();
+  build({
+    force: args.includes('--force') || args.includes('-f'),
+    dryRun: args.includes('--dry-run'),
+    only: argValue('--only')
+  });
 }
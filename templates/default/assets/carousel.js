@@ -0,0 +1,379 @@
+// Project page carousel and popup. Loaded (unchanged) by every project page; the page's media
+// list comes from the <script type="application/json" id="carousel-data"> tag.
+(function() {
+  // Switch on the carousel layout before the page is drawn (without JS the slides just stack)
+  document.documentElement.classList.add('carousel-js');
+  
+  // Pixels a pointer has to travel sideways before it counts as a swipe
+  const SWIPE_THRESHOLD = 50;
+  // #slide-3 shows the third slide; #slide-3-open also opens it in the popup
+  const SLIDE_HASH_PATTERN = /^#slide-(\d+)(-open)?$/;
+  
+  // Shared by the carousel and the popup: slide N is popup item N
+  let mediaItems = [];
+  let currentCarouselIndex = 0;
+  let currentIndex = 0;
+  // Element that had focus before the popup opened, so it can get it back on close
+  let popupOpener = null;
+  
+  function updateCarousel() {
+    const track = document.querySelector('.carousel-track');
+    const slides = document.querySelectorAll('.carousel-slide');
+    const dots = document.querySelectorAll('.carousel-dot');
+    const status = document.getElementById('carousel-status');
+    const totalSlides = mediaItems.length;
+    
+    if (!track || totalSlides === 0) return;
+    
+    // Update track position - ensure full 100% translation per slide
+    const translateX = currentCarouselIndex * 100;
+    track.style.transform = `translateX(-${translateX}%)`;
+    
+    // Only the visible slide is exposed to screen readers and reachable with Tab; videos that
+    // slide out of view stop playing
+    slides.forEach((slide, index) => {
+      const isCurrent = index === currentCarouselIndex;
+      slide.toggleAttribute('aria-hidden', !isCurrent);
+      slide.toggleAttribute('inert', !isCurrent);
+      if (!isCurrent) slide.querySelectorAll('video').forEach(video => video.pause());
+    });
+    
+    // Update dots
+    dots.forEach((dot, index) => {
+      if (index === currentCarouselIndex) {
+        dot.classList.add('active');
+        dot.setAttribute('aria-current', 'true');
+      } else {
+        dot.classList.remove('active');
+        dot.removeAttribute('aria-current');
+      }
+    });
+    
+    // Announce the new position
+    if (status) {
+      const caption = mediaItems[currentCarouselIndex].caption;
+      status.textContent = `Slide ${currentCarouselIndex + 1} of ${totalSlides}${caption ? `: ${caption}` : ''}`;
+    }
+    
+    updateHash();
+  }
+  
+  function carouselNext() {
+    if (mediaItems.length === 0) return;
+    currentCarouselIndex = (currentCarouselIndex + 1) % mediaItems.length;
+    updateCarousel();
+  }
+  
+  function carouselPrev() {
+    if (mediaItems.length === 0) return;
+    currentCarouselIndex = (currentCarouselIndex - 1 + mediaItems.length) % mediaItems.length;
+    updateCarousel();
+  }
+  
+  function carouselGoTo(index) {
+    if (index >= 0 && index < mediaItems.length) {
+      currentCarouselIndex = index;
+      updateCarousel();
+    }
+  }
+  
+  function openPopup(index) {
+    const popup = document.getElementById('image-popup');
+    if (!popup || !mediaItems[index]) return;
+    
+    popupOpener = document.activeElement;
+    currentIndex = index;
+    updatePopup();
+    popup.style.display = 'block';
+    document.getElementById('popup-close').focus();
+    updateHash();
+  }
+  
+  function updatePopup() {
+    const media = mediaItems[currentIndex];
+    const popupImg = document.getElementById('popup-image');
+    const popupPdf = document.getElementById('popup-pdf');
+    const popupEmbed = document.getElementById('popup-embed');
+    const popupFileVideo = document.getElementById('popup-file-video');
+    const popupCaption = document.getElementById('popup-caption');
+    const popupStatus = document.getElementById('popup-status');
+    const prevBtn = document.getElementById('popup-prev');
+    const nextBtn = document.getElementById('popup-next');
+    
+    // Hide all media types first (emptying the frames stops a video that was playing)
+    popupImg.style.display = 'none';
+    popupPdf.style.display = 'none';
+    popupEmbed.style.display = 'none';
+    popupFileVideo.style.display = 'none';
+    if (media.type !== 'pdf') popupPdf.src = 'about:blank';
+    if (media.type !== 'embed') popupEmbed.src = 'about:blank';
+    if (media.type !== 'video') stopFileVideo(popupFileVideo);
+    
+    if (media.type === 'image') {
+      popupImg.src = media.src;
+      popupImg.alt = media.alt || 'Enlarged view';
+      popupImg.style.display = 'block';
+    } else if (media.type === 'pdf') {
+      if (popupPdf.getAttribute('src') !== media.src) popupPdf.src = media.src;
+      popupPdf.style.display = 'block';
+    } else if (media.type === 'embed') {
+      if (popupEmbed.getAttribute('src') !== media.src) popupEmbed.src = media.src;
+      popupEmbed.title = media.title;
+      popupEmbed.className = `popup-media popup-embed popup-embed-${media.kind}`;
+      popupEmbed.style.display = 'block';
+    } else if (media.type === 'video') {
+      // Play the first rendition this browser supports
+      const source = media.sources.find(candidate => popupFileVideo.canPlayType(candidate.type)) || media.sources[0];
+      if (popupFileVideo.getAttribute('src') !== source.src) {
+        popupFileVideo.src = source.src;
+        popupFileVideo.poster = media.poster || '';
+      }
+      popupFileVideo.style.display = 'block';
+    }
+    
+    // Caption from the project's `media:` frontmatter, if any
+    popupCaption.textContent = media.caption || '';
+    popupCaption.style.display = media.caption ? 'block' : 'none';
+    popupStatus.textContent = `Item ${currentIndex + 1} of ${mediaItems.length}`;
+    
+    // Keep focus inside the dialog when the button that had it is about to be hidden
+    const hasPrev = currentIndex > 0;
+    const hasNext = currentIndex < mediaItems.length - 1;
+    if ((!hasPrev && document.activeElement === prevBtn) || (!hasNext && document.activeElement === nextBtn)) {
+      (hasPrev ? prevBtn : hasNext ? nextBtn : document.getElementById('popup-close')).focus();
+    }
+    prevBtn.style.display = hasPrev ? 'block' : 'none';
+    nextBtn.style.display = hasNext ? 'block' : 'none';
+    
+    // Keep the carousel on the same item, so closing the popup lands where the user left off
+    currentCarouselIndex = currentIndex;
+    updateCarousel();
+  }
+  
+  function closePopup() {
+    document.getElementById('image-popup').style.display = 'none';
+    document.getElementById('popup-pdf').src = 'about:blank';
+    document.getElementById('popup-embed').src = 'about:blank';
+    stopFileVideo(document.getElementById('popup-file-video'));
+    // Back to whatever opened the popup, or the current slide's link when opened from a URL hash
+    const opener = popupOpener && popupOpener !== document.body
+      ? popupOpener
+      : document.querySelector(`[data-popup-index="${currentIndex}"]`);
+    if (opener && document.contains(opener)) opener.focus();
+    popupOpener = null;
+    updateHash();
+  }
+  
+  // Stop a <video> and release its file
+  function stopFileVideo(video) {
+    if (!video.getAttribute('src')) return;
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+  }
+  
+  function popupNext() {
+    if (currentIndex < mediaItems.length - 1) {
+      currentIndex++;
+      updatePopup();
+    }
+  }
+  
+  function popupPrev() {
+    if (currentIndex > 0) {
+      currentIndex--;
+      updatePopup();
+    }
+  }
+  
+  function isPopupOpen() {
+    const popup = document.getElementById('image-popup');
+    return Boolean(popup) && popup.style.display === 'block';
+  }
+  
+  // Keep Tab and Shift+Tab cycling through the popup's visible controls
+  function trapPopupFocus(e) {
+    const popup = document.getElementById('image-popup');
+    const focusable = Array.from(popup.querySelectorAll('button, iframe, video'))
+      .filter(element => element.style.display !== 'none');
+    if (focusable.length === 0) return;
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && (document.activeElement === first || !popup.contains(document.activeElement))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !popup.contains(document.activeElement))) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+  
+  // Mirror the current slide (and whether the popup is open) in the URL, without adding history entries
+  function updateHash() {
+    const hash = `#slide-${currentCarouselIndex + 1}${isPopupOpen() ? '-open' : ''}`;
+    if (location.hash !== hash) history.replaceState(null, '', hash);
+  }
+  
+  // Show the slide named in the URL hash, opening or closing the popup to match
+  function showSlideFromHash() {
+    const match = location.hash.match(SLIDE_HASH_PATTERN);
+    if (!match || mediaItems.length === 0) return;
+    
+    const index = Math.min(parseInt(match[1], 10), mediaItems.length) - 1;
+    if (index < 0) return;
+    carouselGoTo(index);
+    
+    if (match[2]) {
+      openPopup(index);
+    } else if (isPopupOpen()) {
+      closePopup();
+    }
+  }
+  
+  // Swipe/drag support: onSwipe(1) for a swipe to the left (next), onSwipe(-1) to the right (previous).
+  // onDrag(dx) follows the pointer while it moves and gets 0 when the gesture ends.
+  function addSwipeListener(element, onSwipe, onDrag) {
+    let startX = null;
+    let startY = 0;
+    let dragged = false;
+    
+    element.addEventListener('pointerdown', function(e) {
+      if (e.pointerType === 'mouse' && e.button !== 0) return;
+      startX = e.clientX;
+      startY = e.clientY;
+      dragged = false;
+    });
+    
+    element.addEventListener('pointermove', function(e) {
+      if (startX === null) return;
+      const dx = e.clientX - startX;
+      // Mostly-vertical movement is left to the browser for scrolling
+      if (!dragged && Math.abs(dx) > 10 && Math.abs(dx) > Math.abs(e.clientY - startY)) {
+        dragged = true;
+        element.setPointerCapture(e.pointerId);
+      }
+      if (dragged && onDrag) onDrag(dx);
+    });
+    
+    element.addEventListener('pointerup', function(e) {
+      if (startX === null) return;
+      const dx = e.clientX - startX;
+      startX = null;
+      if (onDrag) onDrag(0);
+      if (dragged && Math.abs(dx) > SWIPE_THRESHOLD) onSwipe(dx < 0 ? 1 : -1);
+    });
+    
+    element.addEventListener('pointercancel', function() {
+      startX = null;
+      if (onDrag) onDrag(0);
+    });
+    
+    // A drag shouldn't also count as a click on the slide underneath
+    element.addEventListener('click', function(e) {
+      if (dragged) {
+        e.preventDefault();
+        e.stopPropagation();
+        dragged = false;
+      }
+    }, true);
+    element.addEventListener('dragstart', e => e.preventDefault());
+  }
+  
+  // Replace an embed's thumbnail with the real player (only now does the page contact the provider)
+  function loadEmbed(facade) {
+    const iframe = document.createElement('iframe');
+    iframe.src = facade.dataset.embedSrc;
+    iframe.className = `carousel-embed carousel-embed-${facade.dataset.embedKind}`;
+    iframe.title = facade.dataset.embedTitle;
+    iframe.allow = 'autoplay; fullscreen; picture-in-picture';
+    iframe.allowFullscreen = true;
+    iframe.setAttribute('frameborder', '0');
+    facade.replaceWith(iframe);
+    iframe.focus();
+  }
+  
+  // Keyboard navigation: popup first, otherwise the carousel
+  function handleKeydown(e) {
+    if (isPopupOpen()) {
+      if (e.key === 'Escape') closePopup();
+      if (e.key === 'ArrowRight') popupNext();
+      if (e.key === 'ArrowLeft') popupPrev();
+      if (e.key === 'Tab') trapPopupFocus(e);
+    } else {
+      if (e.key === 'ArrowLeft') carouselPrev();
+      if (e.key === 'ArrowRight') carouselNext();
+    }
+  }
+  
+  function init() {
+    const data = document.getElementById('carousel-data');
+    if (!data) return;
+    mediaItems = JSON.parse(data.textContent).media || [];
+    
+    const wrapper = document.querySelector('.carousel-wrapper');
+    const track = document.querySelector('.carousel-track');
+    const popup = document.getElementById('image-popup');
+    
+    // Slide controls
+    const prev = document.querySelector('.carousel-prev');
+    const next = document.querySelector('.carousel-next');
+    if (prev) prev.addEventListener('click', carouselPrev);
+    if (next) next.addEventListener('click', carouselNext);
+    document.querySelectorAll('.carousel-dot').forEach((dot, index) => {
+      dot.addEventListener('click', () => carouselGoTo(index));
+    });
+    
+    // Enlarge links open the popup instead of following the link to the file
+    document.querySelectorAll('[data-popup-index]').forEach(link => {
+      link.addEventListener('click', e => {
+        e.preventDefault();
+        openPopup(parseInt(link.dataset.popupIndex, 10));
+      });
+    });
+    
+    // Embed thumbnails load their player when clicked
+    document.querySelectorAll('.embed-facade').forEach(facade => {
+      facade.addEventListener('click', e => {
+        e.preventDefault();
+        loadEmbed(facade);
+      });
+    });
+    
+    // Popup controls; clicking the dark backdrop also closes it
+    if (popup) {
+      document.getElementById('popup-close').addEventListener('click', closePopup);
+      document.getElementById('popup-prev').addEventListener('click', popupPrev);
+      document.getElementById('popup-next').addEventListener('click', popupNext);
+      popup.addEventListener('click', e => {
+        if (e.target === popup) closePopup();
+      });
+      addSwipeListener(popup.querySelector('.popup-content'), direction => direction > 0 ? popupNext() : popupPrev());
+    }
+    
+    if (wrapper && track) {
+      addSwipeListener(wrapper, direction => direction > 0 ? carouselNext() : carouselPrev(), dx => {
+        track.style.transition = dx ? 'none' : '';
+        track.style.transform = `translateX(calc(-${currentCarouselIndex * 100}% + ${dx}px))`;
+      });
+      // Slides after the first start off-screen (without JS they're all shown)
+      document.querySelectorAll('.carousel-slide').forEach((slide, index) => {
+        slide.toggleAttribute('aria-hidden', index > 0);
+        slide.toggleAttribute('inert', index > 0);
+      });
+      track.style.transition = 'none';
+    }
+    
+    // Jump straight to a linked slide instead of sliding there from the first one
+    showSlideFromHash();
+    if (track) {
+      track.offsetWidth;
+      track.style.transition = '';
+    }
+    
+    document.addEventListener('keydown', handleKeydown);
+    window.addEventListener('hashchange', showSlideFromHash);
+  }
+  
+  document.addEventListener('DOMContentLoaded', init);
+})();